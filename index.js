@@ -8,3 +8,18 @@
  * a custom initializer.
  */
 module.exports.init = require('./lib/init');
+
+/*
+ * Registry manager to track live instances.
+ */
+module.exports.createRegistryManager = require('./lib/registry').createManager;
+
+/*
+ * Render `pubsub.getStats()` in Prometheus format.
+ */
+module.exports.toPrometheus = require('./lib/metrics').toPrometheus;
+
+/*
+ * In-memory broker to use in tests.
+ */
+module.exports.createLoopbackBroker = require('./lib/loopback');
@@ -1,33 +1,109 @@
 'use strict';
+const extend = require('gextend');
 
-const backoff = {
+const DEFAULTS = {
+    /**
+     * One of `exponential`, `linear` or
+     * `decorrelated-jitter`.
+     */
+    strategy: 'exponential',
     initialDelay: 100,
     maxDelay: 30000,
-    randomizationFactor: 0,
+    /**
+     * Multiplier used by the `exponential`
+     * strategy.
+     */
     factor: 3,
-    computeDelay: function() {
+    /**
+     * Increment used by the `linear` strategy,
+     * defaults to `initialDelay`.
+     */
+    step: undefined,
+    /**
+     * Random factor applied to each delay,
+     * 0.5 means up to 50% more.
+     */
+    randomizationFactor: 0,
+};
+
+const STRATEGIES = {
+    exponential(backoff) {
         if (!backoff.nextBackoffDelay) backoff.nextBackoffDelay = backoff.initialDelay;
         backoff.backoffDelay = Math.min(backoff.nextBackoffDelay, backoff.maxDelay);
         backoff.nextBackoffDelay = backoff.backoffDelay * backoff.factor;
         return backoff.backoffDelay;
     },
-    next: function() {
-        const backoffDelay = backoff.computeDelay();
-        const randomFactor = 1 + Math.random() * backoff.randomizationFactor;
-        backoff.delay = Math.round(backoffDelay * randomFactor);
-        return backoff.delay;
-    },
-    reset: function() {
-        backoff.backoffDelay = 0;
-        backoff.delay = 0;
-        backoff.nextBackoffDelay = backoff.initialDelay;
+    linear(backoff) {
+        const step = backoff.step === undefined ? backoff.initialDelay : backoff.step;
+        if (!backoff.nextBackoffDelay) backoff.nextBackoffDelay = backoff.initialDelay;
+        backoff.backoffDelay = Math.min(backoff.nextBackoffDelay, backoff.maxDelay);
+        backoff.nextBackoffDelay = backoff.backoffDelay + step;
+        return backoff.backoffDelay;
     },
-    execute: function(callback) {
-        backoff.next();
-        setTimeout(() => {
-            callback();
-        }, backoff.delay);
+    /**
+     * @see https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+     */
+    'decorrelated-jitter' (backoff) {
+        const previous = backoff.backoffDelay || backoff.initialDelay;
+        const upper = previous * 3;
+        const delay = backoff.initialDelay + Math.random() * (upper - backoff.initialDelay);
+        backoff.backoffDelay = Math.min(backoff.maxDelay, Math.round(delay));
+        return backoff.backoffDelay;
     }
 };
 
-module.exports = backoff;
+/**
+ * Create a backoff instance to compute
+ * reconnection delays.
+ *
+ * Each client should have its own instance
+ * so that one client's reconnection does not
+ * change the delay of other clients.
+ *
+ * @param {Object} options Configuration object
+ * @param {String} [options.strategy=exponential] Backoff strategy
+ * @param {Number} [options.initialDelay=100] First delay in ms
+ * @param {Number} [options.maxDelay=30000] Max delay in ms
+ * @param {Number} [options.factor=3] Exponential factor
+ * @param {Number} [options.step] Linear increment in ms
+ * @param {Number} [options.randomizationFactor=0] Jitter factor
+ * @return {Object} backoff
+ */
+module.exports = function $createBackoff(options = {}) {
+
+    options = extend({}, DEFAULTS, options);
+
+    const strategy = STRATEGIES[options.strategy];
+
+    if (!strategy) {
+        throw new TypeError(`Unknown backoff strategy "${options.strategy}"`);
+    }
+
+    const backoff = extend({}, options, {
+        computeDelay: function() {
+            return strategy(backoff);
+        },
+        next: function() {
+            const backoffDelay = backoff.computeDelay();
+            const randomFactor = 1 + Math.random() * backoff.randomizationFactor;
+            backoff.delay = Math.min(Math.round(backoffDelay * randomFactor), backoff.maxDelay);
+            return backoff.delay;
+        },
+        reset: function() {
+            backoff.backoffDelay = 0;
+            backoff.delay = 0;
+            backoff.nextBackoffDelay = backoff.initialDelay;
+        },
+        execute: function(callback) {
+            backoff.next();
+            setTimeout(() => {
+                callback();
+            }, backoff.delay);
+        }
+    });
+
+    return backoff;
+};
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.STRATEGIES = STRATEGIES;
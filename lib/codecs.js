@@ -0,0 +1,152 @@
+'use strict';
+const match = require('mqtt-match');
+
+/**
+ * Built in codecs.
+ *
+ * A codec is an object with two functions:
+ * - encode(data): Returns a String or Buffer
+ * - decode(buffer): Returns the decoded payload
+ *
+ * MessagePack and CBOR codecs load their
+ * modules the first time they are used, you
+ * need to install them yourself:
+ * - `npm i -S msgpack-lite`
+ * - `npm i -S cbor`
+ */
+const CODECS = {
+    json: {
+        encode(data = {}) {
+            /*
+             * Buffers are considered to be
+             * serialized already.
+             */
+            if (Buffer.isBuffer(data)) return data;
+            return JSON.stringify(data);
+        },
+        decode(buffer = '') {
+            return JSON.parse(buffer.toString());
+        }
+    },
+    raw: {
+        encode(data = '') {
+            if (typeof data === 'string' || Buffer.isBuffer(data)) return data;
+            return String(data);
+        },
+        decode(buffer) {
+            return buffer;
+        }
+    },
+    msgpack: {
+        encode(data) {
+            return load('msgpack-lite').encode(data);
+        },
+        decode(buffer) {
+            return load('msgpack-lite').decode(buffer);
+        }
+    },
+    cbor: {
+        encode(data) {
+            return load('cbor').encode(data);
+        },
+        decode(buffer) {
+            return load('cbor').decodeFirstSync(buffer);
+        }
+    }
+};
+
+/**
+ * Create a codec registry.
+ *
+ * Topic filters are matched in the order
+ * they were added, if no filter matches
+ * we use the default codec.
+ *
+ * @param {Object} options Configuration object
+ * @param {String} [options.codec=json] Default codec name
+ * @param {Object} [options.codecs] Map of topic filter to codec name
+ * @return {Object} Codec registry
+ */
+module.exports = function $createCodecs(options = {}) {
+
+    const registry = {
+        codecs: Object.assign({}, CODECS),
+        filters: [],
+        defaultCodec: options.codec || 'json'
+    };
+
+    /**
+     * Register a codec.
+     *
+     * @param {String} name Codec name
+     * @param {Object} codec Object with `encode` and `decode` functions
+     * @return {Object} registry
+     */
+    registry.add = function(name, codec) {
+        if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+            throw new TypeError(`Codec "${name}" needs an encode and a decode function`);
+        }
+        registry.codecs[name] = codec;
+        return registry;
+    };
+
+    /**
+     * Get a codec by name.
+     *
+     * @param {String} name Codec name
+     * @return {Object} codec
+     */
+    registry.get = function(name) {
+        const codec = registry.codecs[name];
+        if (!codec) throw new Error(`Unknown codec "${name}"`);
+        return codec;
+    };
+
+    /**
+     * Use a codec for all topics matching
+     * the given filter.
+     *
+     * @param {String} filter MQTT topic filter
+     * @param {String} name Codec name
+     * @return {Object} registry
+     */
+    registry.use = function(filter, name) {
+        registry.filters = registry.filters.filter(item => item.filter !== filter);
+        registry.filters.push({ filter, name });
+        return registry;
+    };
+
+    /**
+     * Find the codec for a topic.
+     *
+     * @param {String} topic MQTT topic
+     * @return {Object} codec
+     */
+    registry.resolve = function(topic) {
+        const item = registry.filters.find(item => match(item.filter, topic));
+        return registry.get(item ? item.name : registry.defaultCodec);
+    };
+
+    registry.encode = function(topic, data) {
+        return registry.resolve(topic).encode(data);
+    };
+
+    registry.decode = function(topic, buffer) {
+        return registry.resolve(topic).decode(buffer);
+    };
+
+    const filters = options.codecs || {};
+    Object.keys(filters).forEach(filter => registry.use(filter, filters[filter]));
+
+    return registry;
+};
+
+module.exports.CODECS = CODECS;
+
+function load(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        throw new Error(`Codec dependency "${name}" not found. Install it with "npm i -S ${name}"`);
+    }
+}
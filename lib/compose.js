@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Compose a list of middleware functions with
+ * `(ctx, next)` signature into a single function.
+ *
+ * Each middleware can do work before and after
+ * calling `next`, or skip calling `next` to stop
+ * the chain.
+ *
+ * @param {Array} middleware List of middleware functions
+ * @return {Function} `(ctx, final) => Promise`
+ */
+module.exports = function $compose(middleware = []) {
+    return function $run(ctx, final) {
+        let index = -1;
+
+        function dispatch(i) {
+            if (i <= index) {
+                return Promise.reject(new Error('next() called multiple times'));
+            }
+
+            index = i;
+
+            let fn = i === middleware.length ? final : middleware[i];
+
+            if (!fn) return Promise.resolve();
+
+            try {
+                return Promise.resolve(fn(ctx, dispatch.bind(null, i + 1)));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        return dispatch(0);
+    };
+};
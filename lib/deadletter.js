@@ -0,0 +1,332 @@
+'use strict';
+const uuid = require('uuid').v4;
+const match = require('mqtt-match');
+const createBackoff = require('./backoff');
+
+const DEFAULTS = {
+    /**
+     * Dead letters are published to
+     * `${topic}/${original topic}`.
+     */
+    topic: 'core$/pubsub/dlt',
+    qos: 1,
+    /**
+     * Times we retry a failed handler before
+     * we give up.
+     */
+    retries: 3,
+    /**
+     * Backoff used between retries.
+     */
+    backoff: {
+        strategy: 'exponential',
+        initialDelay: 100,
+        maxDelay: 10000,
+        factor: 3,
+    },
+    /**
+     * Dead letter messages we can't decode
+     * instead of dispatching them as strings.
+     */
+    malformed: true,
+    /**
+     * Policies per topic filter, they override
+     * the options above. Topics that do not
+     * match a filter are not dead lettered.
+     */
+    topics: {
+        '#': {}
+    },
+    /**
+     * Subscribe to dead letters so we can
+     * list, replay and purge them.
+     */
+    consume: false,
+    /**
+     * Max number of dead letters we keep
+     * when consuming.
+     */
+    maxSize: 1000,
+};
+
+/**
+ * Dead letter support.
+ *
+ * Failed handlers are retried in process with
+ * backoff. Once we run out of retries, or if
+ * the message could not be decoded, we publish
+ * a dead letter with:
+ * - id: Dead letter ID
+ * - topic: Original topic
+ * - message: Original message, base64
+ * - qos, retain: Original QoS and retain flag
+ * - reason: `handler` or `malformed`
+ * - error: `{ message, code, name }`
+ * - attempts: Number of times we tried
+ * - firstAttemptAt, lastAttemptAt, deadLetteredAt: Timestamps
+ * - client: Client ID of the instance that failed
+ *
+ * Events:
+ * - `message.retry`: A handler will be retried. Payload `{ topic, attempt, delay, error }`
+ * - `message.deadlettered`: A dead letter was published. Payload is the dead letter
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ * @return {Object} deadLetters
+ */
+module.exports = function $init(pubsub, config, logger) {
+
+    const options = Object.assign({}, DEFAULTS, config.deadLetter === true ? {} : config.deadLetter);
+    const prefix = pubsub.resolveTopic(options.topic);
+    const clientId = config.clientId || pubsub.guid;
+
+    const deadLetters = {
+        options,
+        entries: new Map(),
+        _timers: new Set(),
+    };
+
+    /**
+     * Get the policy for a topic.
+     *
+     * @param {String} topic MQTT topic
+     * @return {Object|undefined}
+     */
+    deadLetters.policyFor = function(topic) {
+        /*
+         * Never dead letter dead letters.
+         */
+        if (topic === prefix || topic.indexOf(`${prefix}/`) === 0) return;
+
+        const filter = Object.keys(options.topics || {}).find(filter => match(filter, topic));
+        if (!filter) return;
+
+        return Object.assign({
+            retries: options.retries,
+            backoff: options.backoff,
+            malformed: options.malformed,
+            qos: options.qos,
+        }, options.topics[filter]);
+    };
+
+    /**
+     * Retry a failed handler if the topic's
+     * policy allows it.
+     *
+     * @param {Object} failure
+     * @param {Function} failure.handler Topic handler
+     * @param {String} failure.topic MQTT topic
+     * @param {Mixed} failure.payload Payload
+     * @param {Object} failure.meta Message metadata
+     * @param {Error} failure.error Handler error
+     * @param {Object} [failure.retry] Retry state
+     * @return {Boolean} True if we scheduled a retry
+     */
+    deadLetters.retry = function({ handler, topic, payload, meta, error, retry }) {
+        const policy = deadLetters.policyFor(topic);
+        if (!policy || pubsub.closed) return false;
+
+        retry = retry || createRetry(policy);
+
+        if (retry.attempts > policy.retries) return false;
+
+        const delay = retry.backoff.next();
+
+        logger.warn('pubsub: retrying handler for topic "%s" in %sms', topic, delay);
+
+        pubsub.emit('message.retry', {
+            topic,
+            attempt: retry.attempts + 1,
+            delay,
+            error
+        });
+
+        const timeoutId = setTimeout(_ => {
+            deadLetters._timers.delete(timeoutId);
+            retry.attempts++;
+            retry.lastAttemptAt = Date.now();
+            Promise.resolve()
+                .then(_ => pubsub._invokeHandler(handler, topic, payload, meta, retry))
+                .catch(retryError => {
+                    logger.error('pubsub: retry failed for topic "%s": %s', topic, retryError.message);
+                });
+        }, delay);
+
+        deadLetters._timers.add(timeoutId);
+
+        return true;
+    };
+
+    /**
+     * Publish a dead letter if the topic has
+     * a policy.
+     *
+     * @param {Object} failure
+     * @param {String} failure.topic MQTT topic
+     * @param {Buffer|String} failure.message Original message
+     * @param {Error} failure.error Error
+     * @param {String} [failure.reason=handler] `handler` or `malformed`
+     * @param {Object} [failure.retry] Retry state
+     * @param {Number} [failure.qos=0] Original QoS
+     * @param {Boolean} [failure.retain=false] Original retain flag
+     * @return {Object|undefined} Dead letter
+     */
+    deadLetters.send = function({ topic, message = '', error = {}, reason = 'handler', retry, qos = 0, retain = false }) {
+        const policy = deadLetters.policyFor(topic);
+        if (!policy) return;
+        if (reason === 'malformed' && !policy.malformed) return;
+
+        const now = Date.now();
+
+        const deadLetter = {
+            id: uuid(),
+            topic,
+            message: Buffer.from(message).toString('base64'),
+            qos,
+            retain: !!retain,
+            reason,
+            error: {
+                message: error.message,
+                code: error.code,
+                name: error.name,
+            },
+            attempts: retry ? retry.attempts : 1,
+            firstAttemptAt: retry ? retry.firstAttemptAt : now,
+            lastAttemptAt: retry ? retry.lastAttemptAt : now,
+            deadLetteredAt: now,
+            client: clientId,
+        };
+
+        logger.warn('pubsub: dead letter for topic "%s" after %s attempts', topic, deadLetter.attempts);
+
+        try {
+            pubsub.publish(`${prefix}/${topic}`, deadLetter, { qos: policy.qos });
+        } catch (publishError) {
+            logger.error('pubsub: dead letter publish failed: %s', publishError.message);
+            return;
+        }
+
+        pubsub.emit('message.deadlettered', deadLetter);
+
+        return deadLetter;
+    };
+
+    /**
+     * Subscribe to dead letters of topics
+     * matching a filter.
+     *
+     * @param {String} [filter=#] Original topic filter
+     * @return {Object} deadLetters
+     */
+    deadLetters.consume = function(filter = '#') {
+        pubsub.subscribe(`${prefix}/${filter}`, deadLetters._onDeadLetter);
+        return deadLetters;
+    };
+
+    deadLetters._onDeadLetter = function(topic, payload) {
+        if (!payload || typeof payload !== 'object' || !payload.id) return;
+
+        deadLetters.entries.set(payload.id, payload);
+
+        while (options.maxSize && deadLetters.entries.size > options.maxSize) {
+            deadLetters.entries.delete(deadLetters.entries.keys().next().value);
+        }
+    };
+
+    /**
+     * List dead letters we received.
+     *
+     * @param {String} [filter=#] Original topic filter
+     * @return {Array}
+     */
+    deadLetters.list = function(filter = '#') {
+        return Array.from(deadLetters.entries.values()).filter(entry => {
+            return match(filter, entry.topic);
+        });
+    };
+
+    /**
+     * Publish dead letters to their original
+     * topic, as they were received, with their
+     * QoS and retain flag, and remove them from
+     * our list.
+     *
+     * Replays keep the original message ID, so
+     * we remove it from our dedupe store first.
+     *
+     * @param {String} [selector=#] Dead letter ID or original topic filter
+     * @return {Number} Count of messages replayed
+     */
+    deadLetters.replay = function(selector = '#') {
+        const entries = select(selector);
+
+        entries.forEach(entry => {
+            const message = Buffer.from(entry.message, 'base64');
+            deadLetters.entries.delete(entry.id);
+            forget(entry.topic, message).then(_ => {
+                const publishOptions = { qos: entry.qos || 0, retain: !!entry.retain };
+                pubsub._limit(entry.topic, _ => pubsub._send(entry.topic, message, publishOptions), undefined, true);
+            });
+        });
+
+        return entries.length;
+    };
+
+    /**
+     * Remove dead letters from our list.
+     *
+     * @param {String} [selector=#] Dead letter ID or original topic filter
+     * @return {Number} Count of messages removed
+     */
+    deadLetters.purge = function(selector = '#') {
+        const entries = select(selector);
+        entries.forEach(entry => deadLetters.entries.delete(entry.id));
+        return entries.length;
+    };
+
+    /*
+     * Pending retries are dropped on close.
+     */
+    pubsub.once('close', _ => {
+        deadLetters._timers.forEach(clearTimeout);
+        deadLetters._timers.clear();
+    });
+
+    if (options.consume) {
+        deadLetters.consume(options.consume === true ? '#' : options.consume);
+    }
+
+    function forget(topic, message) {
+        if (!pubsub.dedupe || typeof pubsub.dedupe.forget !== 'function') return Promise.resolve();
+
+        return Promise.resolve().then(_ => {
+            let payload = pubsub.decode(topic, message);
+            if (pubsub.security && pubsub.security.isEncrypted(payload)) {
+                payload = pubsub.security.decrypt(payload);
+            }
+            return pubsub.dedupe.forget(topic, payload);
+        }).catch(error => {
+            logger.warn('pubsub: could not clear dedupe ID for replay on topic "%s": %s', topic, error.message);
+        });
+    }
+
+    function select(selector) {
+        if (deadLetters.entries.has(selector)) return [deadLetters.entries.get(selector)];
+        return deadLetters.list(selector);
+    }
+
+    return deadLetters;
+};
+
+function createRetry(policy) {
+    const now = Date.now();
+    return {
+        attempts: 1,
+        firstAttemptAt: now,
+        lastAttemptAt: now,
+        backoff: createBackoff(policy.backoff),
+    };
+}
+
+module.exports.DEFAULTS = DEFAULTS;
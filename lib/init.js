@@ -1,14 +1,28 @@
 'use strict';
 const mqtt = require('mqtt');
+const crypto = require('crypto');
 const extend = require('gextend');
 const match = require('mqtt-match');
 const EventEmitter = require('events');
-const backoff = require('./backoff');
+const createBackoff = require('./backoff');
+const createOutbox = require('./outbox');
+const createRateLimiter = require('./ratelimit');
+const createStateCache = require('./state');
+const createStream = require('./stream');
+const createCodecs = require('./codecs');
+const createValidator = require('./validation');
+const compose = require('./compose');
+const Topics = require('./topics');
+const createMetrics = require('./metrics');
+const createTracing = require('./tracing');
+const createSecurity = require('./security');
 const pkg = require('../package.json');
 
 let defaultResponseOptions = {
     callerKey: 'response',
     topicKey: 'respondTo',
+    responderKey: 'responder',
+    inboxPrefix: 'core$/pubsub/inbox',
     timeoutResponseAfter: 40 * 1000,
     format: r => r
 };
@@ -52,6 +66,24 @@ const DEFAULTS = {
          */
         topicKey: 'respondTo',
 
+        /**
+         * Used in the request / response flow.
+         *
+         * Each instance subscribes to a single
+         * inbox to get responses to all requests:
+         * `<inboxPrefix>/<clientId>/res/+`
+         */
+        inboxPrefix: 'core$/pubsub/inbox',
+
+        /**
+         * Used in the request / response flow.
+         *
+         * Responses include the id of the instance
+         * that sent them under this key, or as a
+         * user property in MQTT v5.
+         */
+        responderKey: 'responder',
+
         timeoutResponseAfter: 40 * 1000,
 
         format: r => r
@@ -92,23 +124,247 @@ const DEFAULTS = {
         const { url, transport } = options;
 
         if (_clients[url]) {
-            return _clients[url];
+            _clients[url].refs++;
+            return _clients[url].client;
         }
 
         const client = mqtt.connect(url, transport);
 
-        _clients[url] = client;
+        _clients[url] = { client, refs: 1 };
 
         return client;
     },
 
+    /**
+     * Release a client created by `createClient`.
+     * Clients are shared by url, we should only
+     * end the client when the last user releases
+     * it.
+     *
+     * @param {Client} client MQTT client
+     * @param {Object} options MQTT configuration object
+     * @returns {Boolean} True if the client should be ended
+     */
+    releaseClient: function $releaseClient(client, options = {}) {
+        const entry = _clients[options.url];
+
+        /*
+         * Not created by our factory, we own it.
+         */
+        if (!entry || entry.client !== client) return true;
+
+        if (--entry.refs > 0) return false;
+
+        delete _clients[options.url];
+
+        return true;
+    },
+
+    /**
+     * Options used by `pubsub.close`.
+     * - drain: Wait for pending requests instead of rejecting them
+     * - timeout: Max time in ms to wait for requests and acks
+     * - signals: List of process signals that trigger close, e.g.
+     *            `['SIGTERM', 'SIGINT']`
+     */
+    shutdown: {
+        drain: false,
+        timeout: 5 * 1000,
+        signals: false,
+    },
+
+    /**
+     * Inbound middleware run before dispatching
+     * messages to handlers. Strings refer to
+     * default middleware, you can also add your
+     * own functions.
+     */
+    inboundMiddleware: ['decode', 'verify', 'dedupe', 'trace', 'response', 'validate'],
+
+    /**
+     * Drop duplicate deliveries using the
+     * `ensure.uuid` field. Set to `true` to
+     * use defaults or pass an options object:
+     * - maxSize: Max number of IDs per window
+     * - ttl: Time in ms we keep an ID
+     * - topics: Map of topic filter to `{ maxSize, ttl }`
+     * - store: Shared store with `add(key, ttl)`
+     */
+    dedupe: false,
+
+    /**
+     * MQTT protocol version. Set to `5` to use
+     * native request / response properties.
+     */
+    protocolVersion: 4,
+
+    /**
+     * Buffer publish calls while we are offline.
+     * Set to `true` to use defaults or pass an
+     * options object:
+     * - maxSize: Max number of messages, default 1000
+     * - maxAge: Max age in ms, default 0 (no limit)
+     * - dropPolicy: `drop-oldest` or `drop-newest`
+     * - persist: File path for an append-only log
+     */
+    outbox: false,
+
+    /**
+     * Token bucket limits for publish calls.
+     * - rate: Messages per second for all topics
+     * - burst: Bucket size, defaults to `rate`
+     * - policy: `queue`, `drop-oldest`, `drop-newest` or `reject`
+     * - maxQueue: Max queued messages per bucket
+     * - topics: Map of topic filter to `{ rate, burst, policy, maxQueue }`
+     */
+    rateLimit: false,
+
+    /**
+     * Keep the last value of state topics.
+     * - topics: Retained topic filters, e.g. device shadows
+     * - lastSeen: Topic filters that are not retained
+     * - maxSize: Max number of topics
+     */
+    state: false,
+
+    /**
+     * Ping / pong flow, set to `false` if this
+     * instance should not answer pings.
+     * - topic: Topic prefix, we answer on `${topic}/${clientId}`
+     * - timeout: Time in ms we wait for a pong
+     * - selfCheck: `{ interval, threshold }` to emit `degraded`
+     */
+    ping: {
+        topic: 'core$/pubsub/ping',
+        timeout: 5 * 1000,
+        selfCheck: false,
+    },
+
+    /**
+     * RPC options used by `expose` and `proxy`.
+     * - prefix: Methods are on `${prefix}/${service}/${method}`
+     * - timeout: Default call timeout in ms
+     * - discoveryMethod: Method name used for discovery
+     */
+    rpc: {
+        prefix: 'core$/rpc',
+        timeout: undefined,
+        discoveryMethod: '_describe',
+    },
+
+    /**
+     * Retry failed handlers and publish dead
+     * letters. Set to `true` to use defaults or
+     * pass an options object:
+     * - topic: Dead letter topic prefix
+     * - retries: Times we retry a failed handler
+     * - backoff: Backoff options used between retries
+     * - malformed: Dead letter messages we can't decode
+     * - topics: Map of topic filter to policy overrides
+     * - consume: Subscribe to dead letters, `true` or a topic filter
+     */
+    deadLetter: false,
+
+    /**
+     * Default codec used to encode and decode
+     * payloads: `json`, `raw`, `msgpack`, `cbor`.
+     */
+    codec: 'json',
+
+    /**
+     * Codec overrides per topic filter:
+     * `{ 'sensors/+/raw': 'raw' }`
+     */
+    codecs: {},
+
+    /**
+     * JSON Schemas per topic filter:
+     * `{ inbound: { 'sensors/+': schema }, outbound: {} }`
+     */
+    schemas: {},
+
+    /**
+     * Reconnection backoff, each client gets
+     * its own instance.
+     * - strategy: `exponential`, `linear` or `decorrelated-jitter`
+     * - initialDelay: First delay in ms
+     * - maxDelay: Max delay in ms
+     * - factor: Used by `exponential`
+     * - step: Used by `linear`
+     * - randomizationFactor: Jitter, 0.5 means up to 50% more
+     */
+    backoff: {
+        strategy: 'exponential',
+        initialDelay: 100,
+        maxDelay: 30000,
+        factor: 3,
+        randomizationFactor: 0,
+    },
+
+    /**
+     * Propagate W3C trace context. Set to `true`
+     * to use defaults or pass an options object:
+     * - traceparentKey: Payload field, `traceparent`
+     * - tracestateKey: Payload field, `tracestate`
+     * - tracer: Adapter for the app's tracer
+     */
+    tracing: false,
+
+    /**
+     * Sign, verify and encrypt payloads.
+     * - signing: `{ algorithm, keyId }`, `hmac-sha256` or `ed25519`
+     * - encryption: `{ keyId }`, AES-GCM
+     * - keys: Map of key ID to key
+     * - getKey: Key provider, `(keyId, purpose) => key`
+     * - policy: Map of topic filter to `require`, `verify` or `ignore`
+     */
+    security: false,
+
+    /**
+     * Metrics options, set to `false` to disable.
+     * - topics: Topic filters used as labels
+     * - maxLabels: Max label values per metric
+     * - buckets: Request duration buckets in ms
+     */
+    metrics: {},
+
+    /**
+     * Prefix added to all topics we publish and
+     * subscribe to, and removed before handlers
+     * see them. Supports `${keypath}` placeholders.
+     */
+    namespace: undefined,
+
     registerClient: require('./registry').registerClient,
+    /**
+     * Topics used by the registry flow.
+     */
+    registryTopics: require('./registry').TOPICS,
     registryPingInterval: false,
     // registryPingInterval: 5 * 60 * 1000,
 };
 
 const _clients = {};
 
+/*
+ * MQTT v5 subscription identifiers, one per
+ * subscription filter. They are shared by all
+ * instances so that instances sharing a client
+ * agree on them.
+ */
+const _subscriptionIds = {
+    next: 1,
+    byFilter: new Map(),
+    byId: new Map(),
+};
+
+/*
+ * Time in ms we wait for the other copies of
+ * a message delivered for overlapping shared
+ * and non shared subscriptions.
+ */
+const COPY_WINDOW = 1000;
+
 /**
  * Initialize a new MQTT client.
  *
@@ -144,6 +400,24 @@ const _clients = {};
  * @param {Object} [config.transport] Object passed to MQTT client on connect.
  * @param {Object} [config.transport.will.topic=service/down] Topic to send as LWT
  * @param {String} [config.transport.will.payload={"action":"down"}] Message to send as LWT
+ * @param {Boolean|Object} [config.metrics] Metrics options, `false` to disable
+ * @param {String} [config.namespace] Prefix for all topics we publish and subscribe to
+ * @param {Array} [config.inboundMiddleware] Inbound middleware, defaults to `['decode', 'verify', 'dedupe', 'trace', 'response', 'validate']`
+ * @param {Boolean|Object} [config.tracing=false] Propagate W3C trace context
+ * @param {Boolean|Object} [config.security=false] Sign, verify and encrypt payloads
+ * @param {Boolean|Object} [config.dedupe=false] Drop duplicate deliveries
+ * @param {Number} [config.protocolVersion=4] MQTT protocol version, use `5` for native request / response
+ * @param {Boolean|Object} [config.outbox=false] Buffer messages while offline
+ * @param {Boolean|Object} [config.rateLimit=false] Limit outbound messages
+ * @param {Boolean|Object} [config.state=false] Cache the last value of state topics
+ * @param {Boolean|Object} [config.ping] Ping / pong options, `false` to disable
+ * @param {Object} [config.rpc] Options used by `expose` and `proxy`
+ * @param {Boolean|Object} [config.deadLetter=false] Retry failed handlers and publish dead letters
+ * @param {String} [config.codec=json] Default payload codec
+ * @param {Object} [config.codecs] Codec name per topic filter
+ * @param {Object} [config.backoff] Reconnection backoff options
+ * @param {Object} [config.shutdown] Options used by `pubsub.close`
+ * @param {Object} [config.schemas] JSON Schemas per topic filter for `inbound` and `outbound` messages
  */
 module.exports = function $initPubSubMQTT(context, config) {
 
@@ -161,17 +435,141 @@ module.exports = function $initPubSubMQTT(context, config) {
 
     const _logger = context.getLogger('pubsub-mqtt');
 
-    const client = config.createClient(config);
+    /*
+     * Resolve `${keypath}` placeholders in topics
+     * using our context and our configuration.
+     */
+    const resolveTopic = function(template) {
+        return Topics.resolve(template, [context, config], (keypath, template) => {
+            _logger.warn('pubsub: unable to resolve "%s" in topic "%s"', keypath, template);
+        });
+    };
+
+    config.namespace = resolveTopic(config.namespace);
+
+    if (config.onconnect && config.onconnect.topic) {
+        config.onconnect.topic = resolveTopic(config.onconnect.topic);
+    }
+
+    if (config.transport && config.transport.will && config.transport.will.topic) {
+        config.transport.will.topic = resolveTopic(config.transport.will.topic);
+    }
+
+    if (config.registryTopics) {
+        Object.keys(config.registryTopics).forEach(key => {
+            config.registryTopics[key] = resolveTopic(config.registryTopics[key]);
+        });
+    }
+
+    config.handlers = Object.keys(config.handlers).reduce((handlers, topic) => {
+        handlers[resolveTopic(topic)] = config.handlers[topic];
+        return handlers;
+    }, {});
+
+    const namespace = Topics.createNamespace(config.namespace);
+
+    /*
+     * Our transport needs to know which protocol
+     * version we want to use.
+     */
+    if (config.protocolVersion === 5) {
+        config.transport = extend({ protocolVersion: 5 }, config.transport);
+    }
+
+    /*
+     * Add our client id to the LWT payload so that
+     * registry managers know which instance went down.
+     */
+    if (config.transport && config.transport.will) {
+        config.transport.will.payload = stampWillPayload(
+            config.transport.will.payload,
+            config.clientId
+        );
+    }
+
+    /*
+     * Our LWT is sent by the broker so it needs
+     * the namespace applied.
+     */
+    let clientConfig = config;
+
+    if (namespace.prefix && config.transport && config.transport.will && config.transport.will.topic) {
+        clientConfig = extend({}, config, {
+            transport: {
+                will: {
+                    topic: namespace.apply(config.transport.will.topic)
+                }
+            }
+        });
+    }
+
+    const client = config.createClient(clientConfig);
 
     let pubsub = new EventEmitter();
     pubsub.guid = makeGuid();
     pubsub.client = client;
-    pubsub.online = false;
+    /*
+     * Our client might be shared and already
+     * connected, we won't get a `connect` event.
+     */
+    pubsub.online = !!client.connected;
+    pubsub.closed = false;
+    pubsub._inflight = 0;
+    pubsub._listeners = [];
+    pubsub.codecs = createCodecs(config);
+    pubsub.validator = createValidator(config.schemas);
+    pubsub.backoff = createBackoff(config.backoff);
+    pubsub.metrics = config.metrics === false ? undefined : createMetrics(metricsOptions(config));
+    pubsub.tracing = config.tracing ? createTracing(config.tracing === true ? {} : config.tracing) : undefined;
+    pubsub.security = config.security ? createSecurity(config.security) : undefined;
     pubsub.connectionAttempt = 0;
     pubsub._notifiedInitialConnection = false;
 
+    /**
+     * Resolve `${keypath}` placeholders in a topic
+     * using our context and configuration.
+     *
+     * @param {String} template Topic template
+     * @return {String}
+     */
+    pubsub.resolveTopic = resolveTopic;
+
+    /**
+     * Add our namespace to a topic.
+     *
+     * @param {String} topic Topic
+     * @return {String}
+     */
+    pubsub._applyNamespace = namespace.apply;
+
+    /**
+     * Remove our namespace from a topic.
+     *
+     * @param {String} topic Topic
+     * @return {String}
+     */
+    pubsub._stripNamespace = namespace.strip;
+
     _logger.info('PubSub MQTT module booting...');
 
+    if (config.outbox) {
+        pubsub.outbox = createOutbox(config.outbox === true ? {} : config.outbox);
+
+        ['buffered', 'dropped', 'flushed'].forEach(event => {
+            pubsub.outbox.on(event, e => pubsub.emit(`outbox.${event}`, e));
+        });
+
+        pubsub.outbox.on('error', error => {
+            _logger.error('outbox error:', error.message);
+            pubsub.emit('outbox.error', error);
+        });
+    }
+
+    if (config.rateLimit) {
+        pubsub.rateLimiter = createRateLimiter(config.rateLimit === true ? {} : config.rateLimit);
+        pubsub.rateLimiter.on('dropped', e => pubsub.emit('ratelimit.dropped', e));
+    }
+
     /**
      *
      */
@@ -185,25 +583,74 @@ module.exports = function $initPubSubMQTT(context, config) {
         }
     }
 
+    /*
+     * Handlers in our configuration object can be
+     * single functions, we store a list per topic.
+     */
+    Object.keys(config.handlers).forEach(topic => {
+        config.handlers[topic] = [].concat(config.handlers[topic])
+            .filter(handler => typeof handler === 'function');
+    });
+
     /**
-     * Get a registered handler for a given topic.
+     * Get the registered handlers for a given topic.
      *
      * @param {String} topic MQTT topic
+     * @returns {Array}
      */
-    pubsub._getHandlerForTopic = function(topic) {
-        return config.handlers[topic];
+    pubsub._getHandlersForTopic = function(topic) {
+        return config.handlers[topic] || [];
     };
 
     /**
-     * Sets the handler for a given topic.
+     * Check if handler is registered for a given topic.
      *
      * @param {String} topic MQTT topic
      * @param {Function} handler Topic handler function
-     * @returns {this}
+     * @returns {Boolean}
      */
-    pubsub._setHandlerForTopic = function(topic, handler) {
-        config.handlers[topic] = handler;
-        return this;
+    pubsub._hasHandlerForTopic = function(topic, handler) {
+        return pubsub._getHandlersForTopic(topic).indexOf(handler) !== -1;
+    };
+
+    /**
+     * Adds a handler for a given topic.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Function} handler Topic handler function
+     * @returns {Boolean} True if this is the first handler for topic
+     */
+    pubsub._addHandlerForTopic = function(topic, handler) {
+        let isNew = !config.handlers[topic] || config.handlers[topic].length === 0;
+        if (isNew) config.handlers[topic] = [];
+        if (!pubsub._hasHandlerForTopic(topic, handler)) {
+            config.handlers[topic].push(handler);
+        }
+        return isNew;
+    };
+
+    /**
+     * Removes a handler for a given topic. If no
+     * handler is given all handlers are removed.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Function} [handler] Topic handler function
+     * @returns {Boolean} True if there are no more handlers for topic
+     */
+    pubsub._removeHandlerForTopic = function(topic, handler) {
+        if (!config.handlers[topic]) return false;
+
+        if (handler) {
+            config.handlers[topic] = config.handlers[topic].filter(h => h !== handler);
+        } else {
+            config.handlers[topic] = [];
+        }
+
+        if (config.handlers[topic].length > 0) return false;
+
+        delete config.handlers[topic];
+
+        return true;
     };
 
     /**
@@ -213,18 +660,175 @@ module.exports = function $initPubSubMQTT(context, config) {
      * supported ("+" for single level and
      * "#" for multi level).
      *
+     * You can add multiple handlers for the
+     * same topic, we only send a SUBSCRIBE
+     * packet for the first one.
+     *
+     * Use `options.group` to create a shared
+     * subscription, the broker will deliver
+     * each message to a single member of the
+     * group. You can also use the
+     * `$share/<group>/<filter>` format directly.
+     *
      * @method subscribe
      * @param  {String|Array}  topic  MQTT topic or topics.
      * @param  {function}  handler    Handles topic messages
+     * @param  {Object}  [options]    Options
+     * @param  {String}  [options.group] Shared subscription group
+     * @return {this}
+     */
+    pubsub.subscribe = function(topic, handler, options = {}) {
+        let topics = [].concat(topic).map(topic => {
+            return Topics.share(topic, options.group);
+        }).filter(topic => {
+            return pubsub._addHandlerForTopic(topic, handler);
+        });
+
+        if (topics.length) pubsub._subscribe(topics);
+
+        return this;
+    };
+
+    /**
+     * Send a SUBSCRIBE packet for the given
+     * topics.
+     *
+     * With MQTT v5 each subscription has an
+     * identifier, so we know which of our
+     * subscriptions a message was delivered for.
+     *
+     * @param {String|Array} topics Topics, without namespace
+     */
+    pubsub._subscribe = function(topics) {
+        topics = [].concat(topics).map(pubsub._applyNamespace);
+
+        if (!topics.length) return;
+
+        if (config.protocolVersion !== 5) return client.subscribe(topics);
+
+        topics.forEach(topic => client.subscribe(topic, {
+            properties: {
+                subscriptionIdentifier: subscriptionIdFor(topic)
+            }
+        }));
+    };
+
+    /**
+     * Remove a handler from a topic or topics.
+     * If no handler is given we remove all
+     * handlers for the topic.
+     *
+     * We only send an UNSUBSCRIBE packet once
+     * the last handler for a topic is removed.
+     *
+     * @method unsubscribe
+     * @param  {String|Array}  topic  MQTT topic or topics.
+     * @param  {function}  [handler]  Handler to remove
+     * @param  {Object}  [options]    Options
+     * @param  {String}  [options.group] Shared subscription group
      * @return {this}
      */
-    pubsub.subscribe = function(topic, handler) {
-        pubsub._setHandlerForTopic(topic, handler);
-        client.subscribe(topic);
+    pubsub.unsubscribe = function(topic, handler, options = {}) {
+        let topics = [].concat(topic).map(topic => {
+            return Topics.share(topic, options.group);
+        }).filter(topic => {
+            return pubsub._removeHandlerForTopic(topic, handler);
+        });
+
+        if (topics.length) client.unsubscribe(topics.map(pubsub._applyNamespace));
 
         return this;
     };
 
+    /**
+     * Consume the messages of a topic filter
+     * as an async iterable:
+     *
+     * ```js
+     * for await (const { topic, payload } of pubsub.stream('sensors/+/temp')) {
+     *     if (payload.value > 100) break;
+     * }
+     * ```
+     *
+     * Messages go through the same matching and
+     * inbound pipeline as topic handlers. We
+     * unsubscribe when the loop ends.
+     *
+     * @method stream
+     * @param  {String} filter Topic filter
+     * @param  {Object} [options] Options
+     * @param  {Number} [options.highWaterMark=16] Max buffered messages
+     * @param  {String} [options.overflow=drop-oldest] `drop-oldest`, `drop-newest` or `error`
+     * @param  {Boolean} [options.readable=false] Return a Readable in object mode
+     * @param  {String} [options.group] Shared subscription group
+     * @return {AsyncIterable|Readable}
+     */
+    pubsub.stream = function(filter, options = {}) {
+        return createStream(pubsub, filter, options);
+    };
+
+    if (config.state) {
+        const stateOptions = Object.assign({}, config.state === true ? {} : config.state);
+
+        pubsub.state = createStateCache(stateOptions);
+        pubsub.state.on('change', e => pubsub.emit('state.change', e));
+
+        /*
+         * State topics go through our inbound
+         * pipeline like any other handler.
+         * An empty payload clears a topic.
+         */
+        pubsub.subscribe(pubsub.state.filters().map(pubsub.resolveTopic), (topic, payload, meta = {}) => {
+            pubsub.state.set(topic, isEmpty(payload) ? undefined : payload, meta);
+        });
+    }
+
+    /**
+     * Get the last known value of a state
+     * topic.
+     *
+     * @method getState
+     * @param  {String} topic MQTT topic
+     * @return {Mixed} Payload or `undefined`
+     */
+    pubsub.getState = function(topic) {
+        return pubsub.state ? pubsub.state.get(topic) : undefined;
+    };
+
+    /**
+     * Get the last known values of all state
+     * topics matching a topic filter.
+     *
+     * @method query
+     * @param  {String} filter Topic filter, e.g. `devices/+/shadow`
+     * @return {Object} Map of topic to value
+     */
+    pubsub.query = function(filter) {
+        return pubsub.state ? pubsub.state.query(filter) : {};
+    };
+
+    /**
+     * Publish a retained message with the new
+     * state of a topic. Use `undefined` or
+     * `null` to clear the topic.
+     *
+     * Our cache is updated once the broker
+     * delivers the message.
+     *
+     * @method setState
+     * @param  {String} topic MQTT topic
+     * @param  {Mixed} value Payload
+     * @param  {Object} [options] Publish options
+     * @return {Promise}
+     */
+    pubsub.setState = function(topic, value, options = {}) {
+        /*
+         * An empty message clears a retained topic.
+         */
+        if (value === undefined || value === null) value = Buffer.alloc(0);
+        return pubsub.publishAsync(topic, value, extend({}, options, { retain: true }));
+    };
+
     /**
      * Create a request response cycle.
      *
@@ -245,67 +849,342 @@ module.exports = function $initPubSubMQTT(context, config) {
         );
 
         let _timeoutResponseAfter = options.timeoutResponseAfter;
-        let responseTopic = `${topic}/res/${makeGuid()}`;
-
-        let payload = pubsub._appendToPayload(data, {
-            [options.topicKey]: responseTopic
-        });
 
         return new Promise(function(resolve, reject) {
 
-            const _handler = function $handler(topic, event) {
-                _logger.info('request._handler', topic, Object.keys(event));
-
-                if (_handler._timeoutId) clearTimeout(_handler._timeoutId);
+            const start = Date.now();
 
-                /*
-                 * Remove response handler
-                 */
-                pubsub._setHandlerForTopic(responseTopic, undefined);
-
-                if (typeof options.format === 'function') {
-                    event = options.format(event);
-                }
-                resolve(event);
+            let pending = {
+                resolve: response => {
+                    pubsub._metric('observe', 'requestDuration', topic, Date.now() - start);
+                    resolve(response);
+                },
+                reject,
+                options
             };
 
             if (_timeoutResponseAfter) {
-                _handler._timeoutId = setTimeout(_ => {
+                pending.timeoutId = setTimeout(_ => {
                     _logger.error('request.timeout');
+                    pubsub._metric('inc', 'requestTimeouts', topic);
+                    pubsub._pendingRequests.delete(pending.correlationId);
                     reject(new Error('Timeout error'));
                 }, _timeoutResponseAfter);
             }
 
-            if (config.verbose) {
-                _logger.info('|-> pubsub.request', payload);
-            }
-
-
-            /**
-             * We expect to get our response over this
-             * topic.
-             */
-            pubsub.subscribe(responseTopic, _handler);
-
-            /**
-             * Publish message.
-             */
-            pubsub.publish(topic, payload, options);
+            pubsub._publishRequest(topic, data, options, pending);
         });
     };
 
     /**
-     * Extend the current payload with extra data.
-     * @param  {Object} payload Original payload
-     * @param  {Object} data    Data to be added to payload
-     * @param {Boolean} [serialize=false] If true return string
-     * @return {Object|String}
+     * Create a scatter / gather request.
+     *
+     * We publish a single request and collect all
+     * responses that arrive within `windowMs`, or
+     * until we get `maxResponses`.
+     *
+     * Each response is an object with:
+     * - responder: Id of the responding instance
+     * - payload: Response payload
+     * - topic: Topic where we got the response
+     * - receivedAt: Timestamp
+     *
+     * @method gather
+     * @param  {String} topic Topic  String
+     * @param  {String|Buffer} data  Payload
+     * @param  {Object} options      Options
+     * @param  {Number} [options.windowMs=5000] Time to collect responses
+     * @param  {Number} [options.maxResponses=Infinity] Resolve once we get this many responses
+     * @param  {Number} [options.minResponses=0] Reject if we get fewer responses
+     * @param  {Function} [options.format] Format each response payload
+     * @return {Promise} Resolves with a list of responses
      */
-    pubsub._appendToPayload = function(payload = {}, data = {}, serialize = false) {
-        if (payload === '') payload = {};
-        if (typeof payload === 'string') payload = JSON.parse(payload);
-        if (typeof data === 'string') data = JSON.parse(data);
-        payload = extend({}, data, payload);
+    pubsub.gather = function(topic, data = '', options = undefined) {
+        return pubsub._gather(topic, data, options);
+    };
+
+    /**
+     * Async iterator version of `gather`.
+     * Yields responses as they arrive.
+     *
+     * ```js
+     * for await (const response of pubsub.gatherIterator('config/hash')) {}
+     * ```
+     *
+     * @method gatherIterator
+     * @param  {String} topic Topic  String
+     * @param  {String|Buffer} data  Payload
+     * @param  {Object} options      Same options as `gather`
+     * @return {AsyncIterable}
+     */
+    pubsub.gatherIterator = function(topic, data = '', options = undefined) {
+        let queue = [];
+        let waiting = [];
+        let done = false;
+        let failure;
+
+        const flush = _ => {
+            while (waiting.length) {
+                if (queue.length) {
+                    waiting.shift().resolve({ value: queue.shift(), done: false });
+                } else if (failure) {
+                    waiting.shift().reject(failure);
+                    failure = undefined;
+                } else if (done) {
+                    waiting.shift().resolve({ value: undefined, done: true });
+                } else break;
+            }
+        };
+
+        const gathering = pubsub._gather(topic, data, options, response => {
+            queue.push(response);
+            flush();
+        });
+
+        gathering.then(_ => {
+            done = true;
+            flush();
+        }, error => {
+            done = true;
+            failure = error;
+            flush();
+        });
+
+        const iterator = {
+            next() {
+                return new Promise((resolve, reject) => {
+                    waiting.push({ resolve, reject });
+                    flush();
+                });
+            },
+            return() {
+                gathering.stop();
+                queue = [];
+                done = true;
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+
+        iterator[Symbol.asyncIterator] = function() {
+            return iterator;
+        };
+
+        return iterator;
+    };
+
+    pubsub._gather = function(topic, data = '', options = undefined, onResponse = undefined) {
+
+        options = extend({}, defaultResponseOptions,
+            config.responseOptions, {
+                windowMs: 5 * 1000,
+                maxResponses: Infinity,
+                minResponses: 0,
+            },
+            options
+        );
+
+        let pending = { options };
+        let responses = [];
+
+        const gathering = new Promise(function(resolve, reject) {
+
+            const finish = _ => {
+                if (pending.timeoutId) clearTimeout(pending.timeoutId);
+                pubsub._pendingRequests.delete(pending.correlationId);
+
+                if (responses.length < options.minResponses) {
+                    const error = new Error('Not enough responses');
+                    error.responses = responses;
+                    return reject(error);
+                }
+
+                resolve(responses);
+            };
+
+            pending.resolve = finish;
+            pending.reject = reject;
+
+            pending.collect = function(event, meta) {
+                const response = {
+                    responder: pubsub._getResponder(event, meta, options),
+                    payload: event,
+                    topic: meta.packet && meta.packet.topic,
+                    receivedAt: Date.now()
+                };
+
+                responses.push(response);
+
+                if (onResponse) onResponse(response);
+
+                if (responses.length >= options.maxResponses) finish();
+            };
+
+            pending.timeoutId = setTimeout(finish, options.windowMs);
+
+            pubsub._publishRequest(topic, data, options, pending);
+        });
+
+        gathering.stop = _ => pending.resolve && pending.resolve();
+
+        return gathering;
+    };
+
+    /**
+     * Publish a request and register our pending
+     * request so that our inbox can route responses.
+     *
+     * @param  {String} topic Topic  String
+     * @param  {String|Buffer} data  Payload
+     * @param  {Object} options      Request options
+     * @param  {Object} pending      Pending request
+     * @return {String} Correlation id
+     */
+    pubsub._publishRequest = function(topic, data, options, pending) {
+        let correlationId = makeGuid();
+        let responseTopic = `${pubsub._inboxTopic}/${correlationId}`;
+
+        pending.correlationId = correlationId;
+
+        let payload = data;
+
+        /*
+         * MQTT v5 has native request / response
+         * properties, otherwise we add our response
+         * topic to the payload.
+         */
+        if (pubsub.isV5()) {
+            options.properties = extend({}, options.properties, {
+                responseTopic: pubsub._applyNamespace(responseTopic),
+                correlationData: Buffer.from(correlationId)
+            });
+        } else {
+            payload = pubsub._appendToPayload(data, {
+                [options.topicKey]: responseTopic
+            });
+        }
+
+        if (config.verbose) {
+            _logger.info('|-> pubsub.request', payload);
+        }
+
+        /**
+         * Our response will be routed to this
+         * pending request by our inbox handler.
+         */
+        pubsub._pendingRequests.set(correlationId, pending);
+
+        pubsub._metric('inc', 'requests', topic);
+
+        const fail = error => {
+            if (!pubsub._pendingRequests.has(correlationId)) return;
+            if (pending.timeoutId) clearTimeout(pending.timeoutId);
+            pubsub._pendingRequests.delete(correlationId);
+            pending.reject(error);
+        };
+
+        /**
+         * Publish message. We fail early if the
+         * message is dropped, e.g. by our rate limit.
+         */
+        try {
+            pubsub.publish(topic, payload, options, error => {
+                if (error) fail(error);
+            });
+        } catch (error) {
+            fail(error);
+        }
+
+        return correlationId;
+    };
+
+    /**
+     * Get the id of the instance that sent
+     * a response.
+     *
+     * @param {Object} event Response payload
+     * @param {Object} meta Message metadata
+     * @param {Object} options Response options
+     * @return {String}
+     */
+    pubsub._getResponder = function(event, meta = {}, options = config.responseOptions) {
+        const key = options.responderKey || defaultResponseOptions.responderKey;
+        if (meta.userProperties && meta.userProperties[key]) {
+            return meta.userProperties[key];
+        }
+        return isObject(event) ? event[key] : undefined;
+    };
+
+    /**
+     * Handle messages sent to our response inbox
+     * and route them to the matching pending request
+     * using the correlation id in the topic.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Object} event Response payload
+     * @param {Object} [meta] Message metadata
+     */
+    pubsub._handleInboxResponse = function $handler(topic, event, meta = {}) {
+        let correlationId = meta.correlationData ?
+            meta.correlationData.toString() :
+            topic.split('/').pop();
+
+        let pending = pubsub._pendingRequests.get(correlationId);
+
+        if (!pending) {
+            _logger.warn('request response for unknown id "%s"', correlationId);
+            return;
+        }
+
+        _logger.info('request._handler', topic);
+
+        if (typeof pending.options.format === 'function') {
+            event = pending.options.format(event);
+        }
+
+        /*
+         * Gather requests collect responses until
+         * their window closes.
+         */
+        if (pending.collect) return pending.collect(event, meta);
+
+        if (pending.timeoutId) clearTimeout(pending.timeoutId);
+
+        pubsub._pendingRequests.delete(correlationId);
+
+        pending.resolve(event);
+    };
+
+    pubsub._pendingRequests = new Map();
+
+    pubsub._inboxTopic = [
+        config.responseOptions.inboxPrefix || defaultResponseOptions.inboxPrefix,
+        config.clientId || pubsub.guid,
+        'res'
+    ].join('/');
+
+    /*
+     * We subscribe to our inbox when we connect,
+     * or right away if our shared client is
+     * already connected.
+     */
+    pubsub._addHandlerForTopic(`${pubsub._inboxTopic}/+`, pubsub._handleInboxResponse);
+
+    if (client.connected) {
+        pubsub._subscribe(`${pubsub._inboxTopic}/+`);
+    }
+
+    /**
+     * Extend the current payload with extra data.
+     * @param  {Object} payload Original payload
+     * @param  {Object} data    Data to be added to payload
+     * @param {Boolean} [serialize=false] If true return string
+     * @return {Object|String}
+     */
+    pubsub._appendToPayload = function(payload = {}, data = {}, serialize = false) {
+        if (payload === '') payload = {};
+        if (typeof payload === 'string') payload = JSON.parse(payload);
+        if (typeof data === 'string') data = JSON.parse(data);
+        payload = extend({}, data, payload);
         if (serialize) return JSON.stringify(payload);
         return payload;
     };
@@ -327,27 +1206,44 @@ module.exports = function $initPubSubMQTT(context, config) {
      * @param  {Number} [options.qos=0] QoS level
      * @param  {Boolean} [options.retain=false] QoS level
      * @param  {Boolean} [options.dup=false] QoS level
+     * @param  {Function} [callback] Called with an error or once the client is done
+     * @throws {Error} If payload does not match the topic's outbound schema
+     * @throws {Error} If our rate limit policy rejects the message
      * @return {this}
      */
-    pubsub.publish = function(topic, data = '', options = undefined) {
-        let args = [topic];
-        data = pubsub.applyTransforms(data);
+    pubsub.publish = function(topic, data = '', options = undefined, callback = undefined) {
+        if (pubsub.closed) {
+            _logger.warn('pubsub: publish after close to "%s"', topic);
+            if (callback) callback(new Error('PubSub closed'));
+            return this;
+        }
 
-        args.push(data);
+        data = pubsub.applyTransforms(data, 'payload', { topic, options });
 
-        if (options) {
-            //TODO: pick only valid arguments
-            args.push(options);
+        /*
+         * MQTT v5 messages carry trace context
+         * as user properties.
+         */
+        if (pubsub.tracing && pubsub.isV5()) {
+            options = extend({}, options);
+            options.properties = extend({}, options.properties);
+            options.properties.userProperties = pubsub.tracing.inject(
+                extend({}, options.properties.userProperties),
+                topic
+            );
         }
 
-        let callback = function(err) {
-            if (err) _logger.error('publish error:', err);
-            else _logger.info('published!');
-        };
+        pubsub._validateOutbound(topic, data);
 
-        args.push(callback);
+        data = pubsub.applyTransforms(data, 'security', { topic, options });
 
-        client.publish.apply(client, args);
+        data = pubsub.encode(topic, data);
+
+        if (pubsub._shouldBuffer()) {
+            pubsub.outbox.push(topic, data, options, callback);
+        } else {
+            pubsub._limit(topic, _ => pubsub._send(topic, data, options, callback), callback);
+        }
 
         if (config.verbose) {
             _logger.info('|-> pubsub: publish', topic, data);
@@ -356,6 +1252,47 @@ module.exports = function $initPubSubMQTT(context, config) {
         return this;
     };
 
+    /**
+     * Publish a message and wait for our client's
+     * callback. For QoS > 0 this is the broker's
+     * ack, so callers can await backpressure.
+     *
+     * ```js
+     * for (const reading of readings) {
+     *     await pubsub.publishAsync('sensors/temp', reading, { qos: 1 });
+     * }
+     * ```
+     *
+     * @param  {String} topic Topic string
+     * @param  {Mixed} data Payload
+     * @param  {Object} [options] Publish options
+     * @return {Promise} Rejects if the message fails or is dropped
+     */
+    pubsub.publishAsync = function(topic, data = '', options = undefined) {
+        return new Promise((resolve, reject) => {
+            pubsub.publish(topic, data, options, error => {
+                if (error) reject(error);
+                else resolve();
+            });
+        });
+    };
+
+    /**
+     * Send a message now if our rate limit
+     * allows it, otherwise apply the policy of
+     * the topic's bucket.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Function} send Sends the message
+     * @param {Function} [drop] Called with an error if the message is dropped
+     * @param {Boolean} [force=false] Queue even if the policy would reject
+     * @throws {Error} If our rate limit policy rejects the message
+     */
+    pubsub._limit = function(topic, send, drop, force = false) {
+        if (!pubsub.rateLimiter) return send();
+        pubsub.rateLimiter.schedule(topic, send, drop, force);
+    };
+
     /**
      * Fast publish main difference with a regular
      * publish is that no transformations are applied.
@@ -366,32 +1303,325 @@ module.exports = function $initPubSubMQTT(context, config) {
      * @return {this}
      */
     pubsub.fastPublish = function(topic, data) {
-        let args = [topic];
 
-        if (typeof data !== 'string') {
-            data = JSON.stringify(data);
+        /*
+         * Strings are considered to be
+         * serialized already.
+         */
+        if (typeof data !== 'string') data = pubsub.encode(topic, data);
+
+        if (pubsub._shouldBuffer()) {
+            pubsub.outbox.push(topic, data);
+        } else {
+            pubsub._limit(topic, _ => pubsub._send(topic, data));
+        }
+
+        if (config.verbose) {
+            _logger.info('|-> pubsub: publish', topic, data);
+        }
+
+        return this;
+    };
+
+    /**
+     * Hand a serialized message to our MQTT client.
+     *
+     * @param  {String} topic Topic string
+     * @param  {String|Buffer} data  Serialized payload
+     * @param  {Object} [options]      Options
+     * @param  {Function} [done]       Called with the client's callback error
+     * @return {this}
+     */
+    pubsub._send = function(topic, data, options = undefined, done = undefined) {
+        let args = [pubsub._applyNamespace(topic), data];
+
+        if (options) {
+            //TODO: pick only valid arguments
+            args.push(options);
         }
 
-        args.push(data);
+        /*
+         * Keep track of messages waiting for
+         * an ack so we can wait on close.
+         */
+        let needsAck = options && options.qos > 0;
+        if (needsAck) pubsub._inflight++;
+
+        let callback = function(err) {
+            if (needsAck) pubsub._inflight--;
+            if (err) _logger.error('publish error:', err);
+            else _logger.info('published!');
+            if (!err) pubsub._metric('inc', 'messagesPublished', topic);
+            if (done) done(err);
+        };
+
+        args.push(callback);
 
         client.publish.apply(client, args);
 
-        if (config.verbose) {
-            _logger.info('|-> pubsub: publish', topic, data);
+        return this;
+    };
+
+    /**
+     * Close this pubsub instance.
+     *
+     * We publish our LWT payload, wait for or
+     * reject pending requests, wait for QoS > 0
+     * acks, remove our listeners and release our
+     * client. The MQTT client is only ended when
+     * its last user releases it.
+     *
+     * @param {Object} [options] Shutdown options
+     * @param {Boolean} [options.drain=false] Wait for pending requests
+     * @param {Number} [options.timeout=5000] Max time in ms to wait
+     * @return {Promise}
+     */
+    pubsub.close = function(options = {}) {
+        if (pubsub._closing) return pubsub._closing;
+
+        options = extend({}, config.shutdown, options);
+
+        _logger.info('pubsub: closing...');
+
+        /*
+         * Messages held back by our rate limiter
+         * are sent before we go down.
+         */
+        if (pubsub.rateLimiter) pubsub.rateLimiter.flush();
+
+        const will = config.transport && config.transport.will;
+
+        if (pubsub.online && will && will.topic && will.payload) {
+            pubsub._send(will.topic, will.payload, {
+                qos: will.qos || 0,
+                retain: !!will.retain
+            });
         }
 
+        const deadline = Date.now() + options.timeout;
+
+        const drained = options.drain ?
+            waitFor(_ => pubsub._pendingRequests.size === 0, deadline) :
+            Promise.resolve();
+
+        pubsub._closing = drained.then(_ => {
+            pubsub._pendingRequests.forEach(pending => {
+                if (pending.timeoutId) clearTimeout(pending.timeoutId);
+                pending.reject(new Error('PubSub closed'));
+            });
+            pubsub._pendingRequests.clear();
+
+            if (pubsub.rateLimiter) pubsub.rateLimiter.flush();
+
+            return waitFor(_ => pubsub._inflight === 0, deadline);
+        }).then(_ => {
+            pubsub.online = false;
+            pubsub.closed = true;
+
+            /*
+             * Let collaborators, e.g. registry, clean
+             * up their intervals and listeners.
+             */
+            pubsub.emit('close');
+
+            pubsub._listeners.forEach(listener => {
+                client.removeListener(listener.event, listener.handler);
+            });
+            pubsub._listeners = [];
+
+            pubsub._unhookSignals();
+
+            if (!config.releaseClient(client, config)) return;
+
+            return new Promise(resolve => client.end(false, resolve));
+        }).then(_ => {
+            _logger.info('pubsub: closed');
+        });
+
+        return pubsub._closing;
+    };
+
+    /**
+     * Close on process signals.
+     *
+     * Once closed we re-raise the signal so that
+     * the default behavior is kept, unless there
+     * are other listeners.
+     *
+     * @param {Array} signals List of signals
+     */
+    pubsub._hookSignals = function(signals = []) {
+        pubsub._signalHandlers = signals.map(signal => {
+            const handler = function() {
+                pubsub.close().catch(error => {
+                    _logger.error('pubsub close error:', error.message);
+                }).then(_ => {
+                    process.removeListener(signal, handler);
+                    if (process.listenerCount(signal) === 0) {
+                        process.kill(process.pid, signal);
+                    }
+                });
+            };
+            process.once(signal, handler);
+            return { signal, handler };
+        });
+    };
+
+    pubsub._unhookSignals = function() {
+        (pubsub._signalHandlers || []).forEach(item => {
+            process.removeListener(item.signal, item.handler);
+        });
+        pubsub._signalHandlers = [];
+    };
+
+    /**
+     * We buffer messages in our outbox while we
+     * are offline, if the outbox is enabled.
+     *
+     * @return {Boolean}
+     */
+    pubsub._shouldBuffer = function() {
+        return !!pubsub.outbox && !pubsub.online;
+    };
+
+    /**
+     * Get a snapshot of our metrics. You can
+     * render it using `toPrometheus`.
+     *
+     * @return {Object}
+     */
+    pubsub.getStats = function() {
+        return pubsub.metrics ? pubsub.metrics.snapshot() : {};
+    };
+
+    /**
+     * Update a metric if metrics are enabled.
+     *
+     * @param {String} method `inc` or `observe`
+     * @param {String} name Metric name
+     * @param {String} [topic] MQTT topic
+     * @param {Number} [value] Value
+     */
+    pubsub._metric = function(method, name, topic, value) {
+        if (!pubsub.metrics) return;
+        pubsub.metrics[method](name, topic, value);
+    };
+
+    pubsub.on('reconnect', _ => pubsub._metric('inc', 'reconnects'));
+    pubsub.on('offline', _ => pubsub._metric('inc', 'offline'));
+    pubsub.on('message.malformed', e => {
+        pubsub._metric('inc', 'messagesMalformed', e.filter || e.topic);
+    });
+
+    /**
+     * Register a payload codec.
+     *
+     * @param {String} name Codec name
+     * @param {Object} codec Object with `encode` and `decode` functions
+     * @return {this}
+     */
+    pubsub.addCodec = function(name, codec) {
+        pubsub.codecs.add(name, codec);
         return this;
     };
 
-    pubsub.addTransform = function(transform) {
-        if (!pubsub._transforms) pubsub._transforms = [];
+    /**
+     * Use a codec for topics matching filter.
+     *
+     * @param {String} filter MQTT topic filter
+     * @param {String} name Codec name
+     * @return {this}
+     */
+    pubsub.useCodec = function(filter, name) {
+        pubsub.codecs.use(filter, name);
+        return this;
+    };
+
+    /**
+     * Serialize a payload using the codec
+     * for the given topic.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Mixed} data Payload
+     * @return {String|Buffer}
+     */
+    pubsub.encode = function(topic, data) {
+        return pubsub.codecs.encode(topic, data);
+    };
+
+    /**
+     * Deserialize a message using the codec
+     * for the given topic.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Buffer} message Raw message
+     * @return {Mixed}
+     */
+    pubsub.decode = function(topic, message) {
+        return pubsub.codecs.decode(topic, message);
+    };
+
+    /**
+     * Register a JSON Schema for a topic filter.
+     *
+     * @param {String} filter MQTT topic filter
+     * @param {Object} schema JSON Schema
+     * @param {String} [direction=both] `inbound`, `outbound` or `both`
+     * @return {this}
+     */
+    pubsub.addSchema = function(filter, schema, direction = 'both') {
+        pubsub.validator.add(filter, schema, direction);
+        return this;
+    };
+
+    /**
+     * Validate an outbound payload after our
+     * transforms have been applied.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Mixed} data Payload
+     * @throws {Error} If payload is not valid
+     */
+    pubsub._validateOutbound = function(topic, data) {
+        if (!pubsub.validator.has('outbound')) return;
+
+        const errors = pubsub.validator.validate('outbound', topic, data);
+        if (!errors) return;
+
+        throw createValidator.createError(topic, errors, 'outbound');
+    };
+
+    /**
+     * Add a publish transform.
+     *
+     * Transforms in the `payload` stage run
+     * before outbound validation. Transforms in
+     * the `security` stage run after it, so they
+     * can sign or encrypt the validated payload.
+     * Both get the `{ topic, options }` of the
+     * message.
+     *
+     * @param {Function} transform Called with `(data, pubsub, message)`
+     * @param {String} [stage=payload] `payload` or `security`
+     * @return {this}
+     */
+    pubsub.addTransform = function(transform, stage = 'payload') {
         if (typeof transform !== 'function') return this;
-        pubsub._transforms.push(transform);
+        pubsub._transformsFor(stage).push(transform);
         return this;
     };
 
-    pubsub.applyTransforms = function(data = {}) {
-        return pubsub._transforms.reduce((_data, tx) => tx(_data, this), data);
+    pubsub.applyTransforms = function(data = {}, stage = 'payload', message = undefined) {
+        return pubsub._transformsFor(stage).reduce((_data, tx) => tx(_data, this, message), data);
+    };
+
+    pubsub._transformsFor = function(stage) {
+        if (stage === 'security') {
+            if (!pubsub._securityTransforms) pubsub._securityTransforms = [];
+            return pubsub._securityTransforms;
+        }
+        if (!pubsub._transforms) pubsub._transforms = [];
+        return pubsub._transforms;
     };
 
     pubsub.addResponseMiddleware = function(middleware) {
@@ -409,6 +1639,19 @@ module.exports = function $initPubSubMQTT(context, config) {
             response = pubsub.responseMiddleware.reduce((response, middleware) => {
                 return response = middleware(response, data, error);
             }, {});
+        } else if (error && data === undefined) {
+            /*
+             * Without middleware we still want the
+             * requester to know something went wrong.
+             */
+            response = {
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    errors: error.errors
+                }
+            };
         }
 
         return response;
@@ -424,15 +1667,366 @@ module.exports = function $initPubSubMQTT(context, config) {
      */
     pubsub.addTransform(require('./transforms/ensure.timestamp')(config));
 
-    pubsub.addTransform(function(data = {}) {
-        return JSON.stringify(data);
+    /*
+     * Propagate trace context, only if tracing
+     * is enabled.
+     */
+    pubsub.addTransform(require('./transforms/ensure.trace')(config));
+
+    /*
+     * Encrypt then sign, only if security
+     * is enabled. They run after outbound
+     * validation.
+     */
+    pubsub.addTransform(require('./transforms/encrypt')(config), 'security');
+    pubsub.addTransform(require('./transforms/sign')(config), 'security');
+
+    /**
+     * Sign a payload, also used for messages we
+     * publish without transforms, e.g. registry
+     * messages.
+     *
+     * @param {Object} payload Payload
+     * @param {String} topic Topic, without namespace
+     * @param {Object} [options] Publish options
+     * @return {Object}
+     */
+    pubsub._sign = function(payload, topic, options = {}) {
+        if (!pubsub.security || !pubsub.security.signing) return payload;
+        const properties = (options && options.properties) || {};
+        return pubsub.security.sign(payload, {
+            topic,
+            responseTopic: pubsub._stripNamespace(properties.responseTopic),
+            correlationData: properties.correlationData,
+        });
+    };
+
+
+    /**
+     * Dispatch a message to all handlers of the
+     * topics that matched.
+     *
+     * This is the last step of our inbound pipeline.
+     *
+     * @param {Object} ctx Message context
+     * @return {Promise}
+     */
+    pubsub._dispatch = function(ctx) {
+        let jobs = [];
+
+        ctx.keys.map((key) => {
+            // _logger.info('match FOUND for: %s %s', key, ctx.topic);
+
+            /*
+             * Take a snapshot, handlers might be removed
+             * while we process this message.
+             */
+            let handlers = pubsub._getHandlersForTopic(key).concat();
+
+            /*
+             * Let handlers of shared subscriptions
+             * know their group.
+             */
+            let meta = ctx.meta;
+            let group = Topics.parse(key).group;
+            if (group) meta = Object.assign({}, ctx.meta, { group });
+
+            handlers.forEach(handler => {
+                /*
+                 * Skip handlers that have been removed
+                 * by a previous handler.
+                 */
+                if (!pubsub._hasHandlerForTopic(key, handler)) return;
+
+                jobs.push(pubsub._invokeHandler(handler, ctx.topic, ctx.payload, meta));
+            });
+        });
+
+        return Promise.all(jobs);
+    };
+
+    /**
+     * Pick the subscriptions a message was
+     * delivered for.
+     *
+     * If we have a shared and a non shared
+     * subscription matching a topic, e.g. `jobs/#`
+     * and `$share/workers/jobs/#`, the broker
+     * sends one copy per subscription and each
+     * copy should only run its own handlers.
+     *
+     * MQTT v5 messages carry the identifiers of
+     * the subscriptions they were delivered for.
+     * Otherwise we count identical copies: the
+     * first one is for our non shared subscriptions
+     * and the next ones for our share groups, in
+     * order. If we have several share groups for
+     * a topic use MQTT v5.
+     *
+     * @param {Array} keys Handler topics matching the topic
+     * @param {String} topic MQTT topic, without namespace
+     * @param {Buffer} message Raw message
+     * @param {Object} [packet] MQTT packet
+     * @return {Array}
+     */
+    pubsub._deliveredKeys = function(keys, topic, message, packet = {}) {
+        const groupOf = key => Topics.parse(key).group || '';
+        const groups = keys.map(groupOf).filter((group, index, groups) => {
+            return groups.indexOf(group) === index;
+        }).sort();
+
+        if (groups.length < 2) return keys;
+
+        const ids = packet.properties && packet.properties.subscriptionIdentifier;
+
+        if (ids !== undefined) {
+            const filters = [].concat(ids).map(id => _subscriptionIds.byId.get(id));
+            return keys.filter(key => filters.indexOf(pubsub._applyNamespace(key)) !== -1);
+        }
+
+        const group = pubsub._nextCopy(topic, message, groups);
+
+        return keys.filter(key => groupOf(key) === group);
+    };
+
+    /**
+     * Get the share group an identical copy of
+     * a message is for.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Buffer} message Raw message
+     * @param {Array} groups Sorted groups, `''` for non shared subscriptions
+     * @return {String}
+     */
+    pubsub._nextCopy = function(topic, message, groups) {
+        const now = Date.now();
+        const copies = pubsub._copies = pubsub._copies || new Map();
+
+        copies.forEach((entry, key) => {
+            if (entry.expires <= now) copies.delete(key);
+        });
+
+        const key = `${topic}|${crypto.createHash('sha1').update(message).digest('base64')}`;
+
+        let entry = copies.get(key);
+
+        if (!entry || entry.seen >= groups.length) {
+            entry = { seen: 0, expires: now + COPY_WINDOW };
+            copies.set(key, entry);
+        }
+
+        return groups[entry.seen++];
+    };
+
+    /**
+     * Add an inbound middleware function.
+     *
+     * Middleware have a `(ctx, next)` signature and
+     * are run in order before dispatching a message to
+     * our handlers. Call `next()` to continue, it returns
+     * a promise that resolves once handlers are done.
+     *
+     * The `ctx` object has:
+     * - topic: MQTT topic
+     * - message: Raw message buffer
+     * - payload: Decoded payload
+     * - packet: MQTT packet
+     * - meta: Metadata passed to handlers
+     * - keys: Handler topics that matched
+     *
+     * @param {Function} middleware Middleware function
+     * @return {this}
+     */
+    pubsub.addInboundMiddleware = function(middleware) {
+        if (typeof middleware !== 'function') return this;
+        pubsub.inboundMiddleware.push(middleware);
+        return this;
+    };
+
+    pubsub._runInboundMiddleware = function(ctx, final) {
+        return compose(pubsub.inboundMiddleware)(ctx, final);
+    };
+
+    /**
+     * Build the metadata object handlers get
+     * as their third argument.
+     *
+     * @param {Object} packet MQTT packet
+     * @return {Object}
+     */
+    pubsub._createMessageMeta = function(packet = {}) {
+        const properties = packet.properties || {};
+        return {
+            packet,
+            qos: packet.qos,
+            retain: packet.retain,
+            properties,
+            userProperties: properties.userProperties || {},
+            messageExpiryInterval: properties.messageExpiryInterval,
+            responseTopic: pubsub._stripNamespace(properties.responseTopic),
+            correlationData: properties.correlationData,
+        };
+    };
+
+    /**
+     * Check if we are using MQTT v5.
+     *
+     * @return {Boolean}
+     */
+    pubsub.isV5 = function() {
+        return config.protocolVersion === 5;
+    };
+
+    /**
+     * Execute a topic handler.
+     *
+     * Handlers can return a value or a promise.
+     * If the message was a request and the handler
+     * did not call the response caller we respond
+     * with the returned value. Errors are sent as
+     * an error response and emitted as `handler.error`.
+     *
+     * If dead letters are enabled we retry failed
+     * handlers first, and publish a dead letter
+     * once we run out of retries.
+     *
+     * @param {Function} handler Topic handler
+     * @param {String} topic MQTT topic
+     * @param {Mixed} payload Decoded payload
+     * @param {Object} [meta] Message metadata
+     * @param {Object} [retry] Retry state, used by dead letters
+     * @return {Promise}
+     */
+    pubsub._invokeHandler = function(handler, topic, payload, meta = {}, retry = undefined) {
+        const caller = meta.response;
+        const canRespond = typeof caller === 'function';
+
+        /*
+         * Failing to send a response, e.g. because
+         * of our rate limit, is not a handler error.
+         */
+        const respond = (value, error) => {
+            if (!canRespond || caller.responded) return;
+            try {
+                caller(value, error);
+            } catch (responseError) {
+                _logger.error('pubsub: response error for topic "%s"', topic);
+                pubsub.emit('response.error', {
+                    topic,
+                    payload,
+                    error: responseError
+                });
+            }
+        };
+
+        const onError = error => {
+            const deadLetters = pubsub.deadLetters;
+
+            if (deadLetters && deadLetters.retry({ handler, topic, payload, meta, error, retry })) {
+                return;
+            }
+
+            if (deadLetters) {
+                deadLetters.send({
+                    topic,
+                    message: meta.packet && meta.packet.payload,
+                    error,
+                    retry,
+                    qos: meta.qos,
+                    retain: meta.retain
+                });
+            }
+
+            _logger.error('pubsub: handler error for topic "%s"', topic);
+            _logger.error(error);
+
+            pubsub.emit('handler.error', {
+                topic,
+                payload,
+                error
+            });
+
+            respond(undefined, error);
+        };
+
+        let result;
+        try {
+            /**
+             * All topic handlers are executed with
+             * context as their scope.
+             */
+            result = handler.call(context, topic, payload, meta);
+        } catch (error) {
+            onError(error);
+            return Promise.resolve();
+        }
+
+        return Promise.resolve(result).then(value => {
+            if (value === undefined) return;
+            respond(value);
+        }, onError);
+    };
+
+    /*
+     * Answer pings and add `pubsub.ping`.
+     */
+    if (config.ping !== false) {
+        require('./ping')(pubsub, config, _logger);
+    }
+
+    /*
+     * Add `expose`, `proxy` and `discover`.
+     */
+    require('./rpc')(pubsub, config, _logger);
+
+    /*
+     * Retry failed handlers and publish dead
+     * letters, only if enabled.
+     */
+    if (config.deadLetter) {
+        pubsub.deadLetters = require('./deadletter')(pubsub, config, _logger);
+    }
+
+    /*
+     * Default inbound middleware. They can be
+     * reordered or replaced using the
+     * `inboundMiddleware` configuration option.
+     */
+    pubsub.defaultInboundMiddleware = {
+        decode: require('./middleware/decode')(pubsub, config, _logger),
+        dedupe: require('./middleware/dedupe')(pubsub, config, _logger),
+        trace: require('./middleware/trace')(pubsub, config, _logger),
+        response: require('./middleware/response')(pubsub, config, _logger),
+        validate: require('./middleware/validate')(pubsub, config, _logger),
+        verify: require('./middleware/verify')(pubsub, config, _logger),
+    };
+
+    pubsub.inboundMiddleware = [];
+
+    [].concat(config.inboundMiddleware || []).forEach(middleware => {
+        if (typeof middleware === 'string') {
+            middleware = pubsub.defaultInboundMiddleware[middleware];
+        }
+        pubsub.addInboundMiddleware(middleware);
     });
 
-    client.on('connect', () => {
+    /**
+     * Add a listener to our client, we keep track
+     * so we can remove them on close.
+     *
+     * @param {String} event Client event
+     * @param {Function} handler Listener
+     */
+    function listen(event, handler) {
+        client.on(event, handler);
+        pubsub._listeners.push({ event, handler });
+    }
+
+    listen('connect', () => {
 
         pubsub.online = true;
         pubsub.connectionAttempt = 0;
-        backoff.reset();
+        pubsub.backoff.reset();
 
         _logger.info('mqtt connected to "%s"', cleanUrl(config.url));
         _logger.info('onconnect', config.onconnect.topic);
@@ -443,12 +2037,12 @@ module.exports = function $initPubSubMQTT(context, config) {
          */
         if (config.onconnect && config.onconnect.topic) {
 
-            const connectPayload = pubsub._appendToPayload(config.onconnect.payload, {
+            const connectPayload = JSON.stringify(pubsub._sign(pubsub._appendToPayload(config.onconnect.payload, {
                 action: 'up',
                 client: config.clientId,
-            }, true);
+            }), config.onconnect.topic));
 
-            client.publish(config.onconnect.topic, connectPayload, function(err) {
+            client.publish(pubsub._applyNamespace(config.onconnect.topic), connectPayload, function(err) {
                 if (err) _logger.error('publish error:', err);
             });
         }
@@ -459,7 +2053,17 @@ module.exports = function $initPubSubMQTT(context, config) {
             _logger.info('pubsub: registering topic "%s"', topic);
         });
 
-        client.subscribe(topics);
+        pubsub._subscribe(topics);
+
+        /*
+         * Send messages buffered while offline
+         * in the order they were published.
+         */
+        if (pubsub.outbox) {
+            pubsub.outbox.flush((topic, data, options, callback) => {
+                pubsub._limit(topic, _ => pubsub._send(topic, data, options, callback), callback, true);
+            }, _ => pubsub.online);
+        }
 
         if (!pubsub._notifiedInitialConnection) {
             pubsub._notifiedInitialConnection = true;
@@ -469,55 +2073,50 @@ module.exports = function $initPubSubMQTT(context, config) {
         }
     });
 
-    client.on('message', (topic, message = '') => {
+    listen('message', (topic, message = '', packet = {}) => {
         // _logger.info('//////////');
         // _logger.info('MQTT: topic "%s". message:\n%s', topic, message.toString());
 
-        let handled = false;
-
-        Object.keys(config.handlers).map((key) => {
-            if (!match(key, topic)) {
-                // console.log('match failed for: %s %s', key, topic);
-                return;
-            }
+        /*
+         * Handlers do not see our namespace.
+         */
+        topic = pubsub._stripNamespace(topic);
 
-            // _logger.info('match FOUND for: %s %s', key, topic);
+        /*
+         * Shared subscriptions deliver messages on
+         * the underlying topic so we match on the
+         * filter.
+         */
+        let keys = Object.keys(config.handlers).filter(key => {
+            return match(Topics.parse(key).filter, topic);
+        });
 
-            let handler = pubsub._getHandlerForTopic(key);
+        keys = pubsub._deliveredKeys(keys, topic, message, packet);
 
-            let payload;
-            try {
-                payload = JSON.parse(message.toString());
-            } catch (e) {
-                _logger.warn('MQTT message payload not JSON');
-                payload = message.toString();
-            }
+        pubsub._metric('inc', 'messagesReceived', keys[0] || topic);
 
-            /**
-             * If our message was part of a request / response flow
-             * we add a response caller function to our payload so
-             * that we can respond to the given request.
-             * This will be handled by core.io's `respondTo` command
-             * flow.
-             * @see https://github.com/goliatone/application-core/blob/master/lib/application.js#L1386
-             */
-            if (payload[config.responseOptions.topicKey]) {
+        if (keys.length === 0) return;
 
-                payload[config.responseOptions.callerKey] = function(data, error) {
-                    let message = pubsub.applyResponseMiddleware(data, error);
-                    pubsub.publish(payload[config.responseOptions.topicKey], message);
-                };
-            }
+        let ctx = {
+            topic,
+            message,
+            packet,
+            keys,
+            payload: undefined,
+            meta: pubsub._createMessageMeta(packet),
+        };
 
-            /**
-             * All topic handlers are executed with
-             * context as their scope.
-             */
-            handler.call(context, topic, payload);
+        pubsub._runInboundMiddleware(ctx, pubsub._dispatch).catch(error => {
+            _logger.error('pubsub: error processing message for topic "%s"', topic);
+            _logger.error(error);
+            pubsub.emit('message.error', {
+                topic,
+                error
+            });
         });
     });
 
-    client.on('error', (err) => {
+    listen('error', (err) => {
         _logger.error('---');
         _logger.error('ERROR:', err.message);
         _logger.error(err.stack);
@@ -533,7 +2132,7 @@ module.exports = function $initPubSubMQTT(context, config) {
         // pubsub.emit('error', err);
     });
 
-    client.on('reconnect', _ => {
+    listen('reconnect', _ => {
         pubsub.online = false;
         ++pubsub.connectionAttempt;
 
@@ -559,11 +2158,11 @@ module.exports = function $initPubSubMQTT(context, config) {
          * our next tick in backoff.
          */
         if (client.options) {
-            client.options.reconnectPeriod = backoff.next();
+            client.options.reconnectPeriod = pubsub.backoff.next();
         }
     });
 
-    client.on('offline', () => {
+    listen('offline', () => {
         pubsub.online = false;
         _logger.warn('---');
         _logger.warn('client offline');
@@ -571,14 +2170,44 @@ module.exports = function $initPubSubMQTT(context, config) {
         pubsub.emit('offline');
     });
 
-    client.on('close', () => {
+    listen('close', () => {
         _logger.warn('---');
         _logger.warn('client close');
     });
 
+    if (config.shutdown && config.shutdown.signals) {
+        pubsub._hookSignals([].concat(config.shutdown.signals));
+    }
+
     return pubsub;
 };
 
+/*
+ * Responses go to per request inbox topics,
+ * label them by the inbox filter.
+ */
+function metricsOptions(config) {
+    const options = extend({}, config.metrics);
+    const responseOptions = config.responseOptions || {};
+    const inboxPrefix = responseOptions.inboxPrefix || defaultResponseOptions.inboxPrefix;
+
+    options.topics = (options.topics || []).concat(`${inboxPrefix}/+/res/+`);
+
+    return options;
+}
+
+function subscriptionIdFor(filter) {
+    if (_subscriptionIds.byFilter.has(filter)) {
+        return _subscriptionIds.byFilter.get(filter);
+    }
+
+    const id = _subscriptionIds.next++;
+    _subscriptionIds.byFilter.set(filter, id);
+    _subscriptionIds.byId.set(id, filter);
+
+    return id;
+}
+
 function makeGuid() {
     const timestamp = (new Date()).getTime().toString(36);
     const randomString = (Math.random() * 10000000000000000).toString(36).replace('.', '');
@@ -586,6 +2215,46 @@ function makeGuid() {
     return `${timestamp}-${randomString}`;
 }
 
+/**
+ * Resolve once condition is true or we reach
+ * the deadline.
+ *
+ * @param {Function} condition Returns a Boolean
+ * @param {Number} deadline Timestamp in ms
+ * @param {Number} [interval=50] Polling interval in ms
+ * @return {Promise}
+ */
+function waitFor(condition, deadline, interval = 50) {
+    return new Promise(resolve => {
+        const check = _ => {
+            if (condition() || Date.now() >= deadline) return resolve();
+            setTimeout(check, interval);
+        };
+        check();
+    });
+}
+
+function isObject(payload) {
+    return !!payload && typeof payload === 'object' && !Buffer.isBuffer(payload);
+}
+
+function stampWillPayload(payload, clientId) {
+    if (!clientId || typeof payload !== 'string') return payload;
+    try {
+        let data = JSON.parse(payload);
+        if (!data || typeof data !== 'object' || data.client) return payload;
+        data.client = clientId;
+        return JSON.stringify(data);
+    } catch (e) {
+        return payload;
+    }
+}
+
+function isEmpty(payload) {
+    if (payload === undefined || payload === '') return true;
+    return Buffer.isBuffer(payload) && payload.length === 0;
+}
+
 function cleanUrl(url = '') {
     return url.replace(/\/\w+:.*@/, '/***:***@');
 }
@@ -0,0 +1,328 @@
+'use strict';
+const match = require('mqtt-match');
+const EventEmitter = require('events');
+const Topics = require('./topics');
+
+/**
+ * In-memory broker for tests.
+ *
+ * It creates clients that implement the subset
+ * of the MQTT.js client API we use, so several
+ * pubsub instances in one process can talk to
+ * each other without a network:
+ *
+ * ```js
+ * const broker = createLoopbackBroker();
+ *
+ * const pubsub = init(context, {
+ *     createClient: broker.createClient
+ * });
+ * ```
+ *
+ * Supports wildcard and shared subscriptions,
+ * retained messages, QoS acks, the LWT and v5
+ * subscription identifiers.
+ * Clients can simulate network events:
+ * - `client.simulateOffline()`: Drops the connection, sends the LWT
+ * - `client.simulateReconnect()`: Emits `reconnect` and `connect`
+ * - `client.simulateError(error)`: Emits `error`
+ *
+ * @param {Object} [options] Configuration object
+ * @param {Boolean} [options.autoConnect=true] Connect clients on next tick
+ * @return {Object} broker
+ */
+module.exports = function $createLoopbackBroker(options = {}) {
+
+    const autoConnect = options.autoConnect !== false;
+
+    const broker = {
+        clients: [],
+        retained: {},
+        groups: {},
+    };
+
+    /**
+     * Create a client connected to this broker.
+     * Signature matches our `createClient`
+     * configuration option.
+     *
+     * @param {Object} [config] PubSub configuration object
+     * @return {LoopbackClient}
+     */
+    broker.createClient = function $createClient(config = {}) {
+        const transport = config.transport || {};
+        const client = createClient(broker, {
+            clientId: config.clientId || transport.clientId,
+            will: transport.will,
+            protocolVersion: transport.protocolVersion,
+        });
+
+        broker.clients.push(client);
+
+        if (autoConnect) setImmediate(_ => client.simulateConnect());
+
+        return client;
+    };
+
+    /**
+     * Deliver a message to all matching
+     * subscriptions.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Buffer} payload Message
+     * @param {Object} [options] Publish options
+     */
+    broker.route = function(topic, payload, options = {}) {
+        if (options.retain) {
+            if (payload.length === 0) delete broker.retained[topic];
+            else broker.retained[topic] = { payload, options };
+        }
+
+        const packet = {
+            cmd: 'publish',
+            topic,
+            payload,
+            qos: options.qos || 0,
+            retain: false,
+            properties: options.properties,
+        };
+
+        const shared = {};
+
+        broker.clients.forEach(client => {
+            if (!client.connected) return;
+
+            const matched = [];
+
+            client.subscriptions.forEach(subscription => {
+                const { filter, group } = Topics.parse(subscription);
+                if (!match(filter, topic)) return;
+
+                if (group) {
+                    const key = `${group}|${filter}`;
+                    shared[key] = shared[key] || [];
+                    shared[key].push({ client, subscription });
+                    return;
+                }
+
+                matched.push(subscription);
+            });
+
+            /*
+             * Overlapping subscriptions get a
+             * single copy.
+             */
+            if (matched.length) {
+                client.emit('message', topic, payload, packetFor(client, packet, matched));
+            }
+        });
+
+        /*
+         * Shared subscriptions deliver to one
+         * member of the group, round robin.
+         */
+        Object.keys(shared).forEach(key => {
+            const members = shared[key];
+            const index = (broker.groups[key] || 0) % members.length;
+            const { client, subscription } = members[index];
+            broker.groups[key] = index + 1;
+            client.emit('message', topic, payload, packetFor(client, packet, [subscription]));
+        });
+    };
+
+    /**
+     * Remove all clients and retained messages.
+     */
+    broker.reset = function() {
+        broker.clients.forEach(client => client.removeAllListeners());
+        broker.clients = [];
+        broker.retained = {};
+        broker.groups = {};
+    };
+
+    return broker;
+};
+
+function createClient(broker, options) {
+    const client = new EventEmitter();
+
+    client.options = {
+        clientId: options.clientId,
+        protocolVersion: options.protocolVersion || 4,
+        reconnectPeriod: 1000,
+    };
+    client.connected = false;
+    client.disconnecting = false;
+    client.subscriptions = [];
+    client.subscriptionIds = {};
+    client.queue = [];
+
+    client.subscribe = function(topic, subscribeOptions, callback) {
+        if (typeof subscribeOptions === 'function') callback = subscribeOptions;
+
+        const topics = [].concat(topic);
+        const properties = (subscribeOptions && subscribeOptions.properties) || {};
+
+        topics.forEach(topic => {
+            if (client.subscriptions.indexOf(topic) === -1) {
+                client.subscriptions.push(topic);
+            }
+            if (properties.subscriptionIdentifier !== undefined) {
+                client.subscriptionIds[topic] = properties.subscriptionIdentifier;
+            }
+        });
+
+        setImmediate(_ => {
+            if (client.connected) {
+                topics.forEach(topic => deliverRetained(broker, client, topic));
+            }
+            if (callback) callback(null, topics.map(topic => ({ topic, qos: 0 })));
+        });
+
+        return client;
+    };
+
+    client.unsubscribe = function(topic, unsubscribeOptions, callback) {
+        if (typeof unsubscribeOptions === 'function') callback = unsubscribeOptions;
+
+        [].concat(topic).forEach(topic => {
+            client.subscriptions = client.subscriptions.filter(t => t !== topic);
+            delete client.subscriptionIds[topic];
+        });
+
+        if (callback) setImmediate(_ => callback(null));
+
+        return client;
+    };
+
+    client.publish = function(topic, message, publishOptions, callback) {
+        if (typeof publishOptions === 'function') {
+            callback = publishOptions;
+            publishOptions = {};
+        }
+
+        publishOptions = publishOptions || {};
+
+        const payload = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+
+        /*
+         * Like MQTT.js we queue messages while we
+         * are offline.
+         */
+        if (!client.connected) {
+            client.queue.push({ topic, payload, publishOptions, callback });
+            return client;
+        }
+
+        setImmediate(_ => {
+            broker.route(topic, payload, publishOptions);
+            if (callback) callback(null);
+        });
+
+        return client;
+    };
+
+    client.end = function(force, endOptions, callback) {
+        callback = [force, endOptions, callback].find(arg => typeof arg === 'function');
+
+        client.disconnecting = true;
+
+        setImmediate(_ => {
+            client.connected = false;
+            broker.clients = broker.clients.filter(c => c !== client);
+            client.emit('close');
+            client.emit('end');
+            if (callback) callback();
+        });
+
+        return client;
+    };
+
+    client.simulateConnect = function() {
+        if (client.connected || client.disconnecting) return client;
+
+        client.connected = true;
+        client.emit('connect', { cmd: 'connack', sessionPresent: false });
+
+        const queue = client.queue;
+        client.queue = [];
+        queue.forEach(item => {
+            client.publish(item.topic, item.payload, item.publishOptions, item.callback);
+        });
+
+        return client;
+    };
+
+    client.simulateOffline = function() {
+        if (!client.connected) return client;
+
+        client.connected = false;
+
+        /*
+         * Ungraceful disconnect, the broker
+         * sends our LWT.
+         */
+        const will = options.will;
+        if (will && will.topic) {
+            const payload = Buffer.isBuffer(will.payload) ?
+                will.payload :
+                Buffer.from(String(will.payload || ''));
+            setImmediate(_ => broker.route(will.topic, payload, will));
+        }
+
+        client.emit('close');
+        client.emit('offline');
+
+        return client;
+    };
+
+    client.simulateReconnect = function() {
+        client.emit('reconnect');
+        setImmediate(_ => client.simulateConnect());
+        return client;
+    };
+
+    client.simulateError = function(error = new Error('Loopback client error')) {
+        client.emit('error', error);
+        return client;
+    };
+
+    return client;
+}
+
+/**
+ * MQTT v5 packets carry the identifiers of
+ * the subscriptions they are delivered for.
+ */
+function packetFor(client, packet, subscriptions) {
+    const ids = subscriptions
+        .map(subscription => client.subscriptionIds[subscription])
+        .filter(id => id !== undefined);
+
+    if (!ids.length) return packet;
+
+    return Object.assign({}, packet, {
+        properties: Object.assign({}, packet.properties, {
+            subscriptionIdentifier: ids.length === 1 ? ids[0] : ids
+        })
+    });
+}
+
+function deliverRetained(broker, client, subscription) {
+    const { filter } = Topics.parse(subscription);
+
+    Object.keys(broker.retained).forEach(topic => {
+        if (!match(filter, topic)) return;
+
+        const retained = broker.retained[topic];
+
+        client.emit('message', topic, retained.payload, packetFor(client, {
+            cmd: 'publish',
+            topic,
+            payload: retained.payload,
+            qos: retained.options.qos || 0,
+            retain: true,
+            properties: retained.options.properties,
+        }, [subscription]));
+    });
+}
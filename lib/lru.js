@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Bounded in-memory store with TTL.
+ *
+ * Keys are evicted when they expire or, once we
+ * reach `maxSize`, in least recently added order.
+ *
+ * @param {Object} options Configuration object
+ * @param {Number} [options.maxSize=10000] Max number of keys
+ * @param {Number} [options.ttl=600000] Default TTL in ms
+ * @return {Object} store
+ */
+module.exports = function $createLRU(options = {}) {
+
+    const maxSize = options.maxSize || 10000;
+    const defaultTtl = options.ttl || 10 * 60 * 1000;
+
+    const store = {
+        items: new Map()
+    };
+
+    /**
+     * Check if key is in the store and has
+     * not expired.
+     *
+     * @param {String} key Key
+     * @return {Boolean}
+     */
+    store.has = function(key) {
+        const expires = store.items.get(key);
+        if (expires === undefined) return false;
+        if (expires > Date.now()) return true;
+        store.items.delete(key);
+        return false;
+    };
+
+    /**
+     * Add a key to the store.
+     *
+     * @param {String} key Key
+     * @param {Number} [ttl] TTL in ms
+     * @return {Boolean} False if the key was already in the store
+     */
+    store.add = function(key, ttl = defaultTtl) {
+        if (store.has(key)) return false;
+
+        store.items.set(key, Date.now() + ttl);
+
+        while (store.items.size > maxSize) {
+            store.items.delete(store.items.keys().next().value);
+        }
+
+        return true;
+    };
+
+    store.delete = function(key) {
+        return store.items.delete(key);
+    };
+
+    store.clear = function() {
+        store.items.clear();
+    };
+
+    return store;
+};
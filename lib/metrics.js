@@ -0,0 +1,258 @@
+'use strict';
+const match = require('mqtt-match');
+
+const OTHER = '__other__';
+
+const DEFAULTS = {
+    /**
+     * Topic filters used as label values. Topics
+     * that do not match a filter use the topic
+     * itself until we reach `maxLabels`.
+     */
+    topics: [],
+    /**
+     * Max number of distinct label values per
+     * metric, after that we use `__other__`.
+     */
+    maxLabels: 100,
+    /**
+     * Request duration buckets in ms.
+     */
+    buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+};
+
+/*
+ * Metrics are keyed by their camel case name,
+ * `name` is the Prometheus metric name.
+ */
+const DEFINITIONS = {
+    messagesPublished: {
+        name: 'messages_published_total',
+        type: 'counter',
+        help: 'Messages published'
+    },
+    messagesReceived: {
+        name: 'messages_received_total',
+        type: 'counter',
+        help: 'Messages received'
+    },
+    messagesMalformed: {
+        name: 'messages_malformed_total',
+        type: 'counter',
+        help: 'Messages that could not be decoded'
+    },
+    requests: {
+        name: 'requests_total',
+        type: 'counter',
+        help: 'Requests sent'
+    },
+    requestTimeouts: {
+        name: 'request_timeouts_total',
+        type: 'counter',
+        help: 'Requests that timed out'
+    },
+    requestDuration: {
+        name: 'request_duration_ms',
+        type: 'histogram',
+        help: 'Request round trip time in milliseconds'
+    },
+    reconnects: {
+        name: 'reconnects_total',
+        type: 'counter',
+        help: 'Reconnection attempts'
+    },
+    offline: {
+        name: 'offline_total',
+        type: 'counter',
+        help: 'Times the client went offline'
+    },
+};
+
+/**
+ * Create a metrics collector.
+ *
+ * Metrics are labeled by topic filter. To keep
+ * label cardinality bounded topics are grouped
+ * by the configured filters and once we reach
+ * `maxLabels` values new topics are counted
+ * under `__other__`.
+ *
+ * @param {Object} options Configuration object
+ * @param {Array} [options.topics] Topic filters used as labels
+ * @param {Number} [options.maxLabels=100] Max label values per metric
+ * @param {Array} [options.buckets] Request duration buckets in ms
+ * @return {Object} metrics
+ */
+module.exports = function $createMetrics(options = {}) {
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    const metrics = {
+        options,
+        values: {}
+    };
+
+    Object.keys(DEFINITIONS).forEach(name => {
+        metrics.values[name] = {};
+    });
+
+    /**
+     * Get the label value for a topic.
+     *
+     * @param {String} name Metric name
+     * @param {String} [topic] MQTT topic
+     * @return {String}
+     */
+    metrics.label = function(name, topic) {
+        if (topic === undefined) return '';
+
+        const filter = options.topics.find(filter => match(filter, topic));
+        if (filter) return filter;
+
+        const values = metrics.values[name];
+        if (values.hasOwnProperty(topic)) return topic;
+        if (Object.keys(values).length < options.maxLabels) return topic;
+
+        return OTHER;
+    };
+
+    /**
+     * Increment a counter.
+     *
+     * @param {String} name Metric name
+     * @param {String} [topic] MQTT topic
+     * @param {Number} [value=1] Increment
+     */
+    metrics.inc = function(name, topic, value = 1) {
+        const label = metrics.label(name, topic);
+        const values = metrics.values[name];
+        values[label] = (values[label] || 0) + value;
+    };
+
+    /**
+     * Add an observation to a histogram.
+     *
+     * @param {String} name Metric name
+     * @param {String} [topic] MQTT topic
+     * @param {Number} value Observed value
+     */
+    metrics.observe = function(name, topic, value) {
+        const label = metrics.label(name, topic);
+        const values = metrics.values[name];
+
+        if (!values[label]) {
+            values[label] = {
+                buckets: options.buckets.map(_ => 0),
+                sum: 0,
+                count: 0
+            };
+        }
+
+        const histogram = values[label];
+
+        options.buckets.forEach((bucket, i) => {
+            if (value <= bucket) histogram.buckets[i]++;
+        });
+
+        histogram.sum += value;
+        histogram.count++;
+    };
+
+    /**
+     * Get a snapshot of all metrics.
+     *
+     * @return {Object}
+     */
+    metrics.snapshot = function() {
+        return Object.keys(DEFINITIONS).reduce((stats, name) => {
+            stats[name] = {
+                name: DEFINITIONS[name].name,
+                type: DEFINITIONS[name].type,
+                help: DEFINITIONS[name].help,
+                values: JSON.parse(JSON.stringify(metrics.values[name]))
+            };
+            if (DEFINITIONS[name].type === 'histogram') {
+                stats[name].buckets = options.buckets.concat();
+            }
+            return stats;
+        }, {});
+    };
+
+    metrics.reset = function() {
+        Object.keys(DEFINITIONS).forEach(name => {
+            metrics.values[name] = {};
+        });
+    };
+
+    return metrics;
+};
+
+/**
+ * Render a metrics snapshot using the Prometheus
+ * text exposition format.
+ *
+ * ```js
+ * app.get('/metrics', (req, res) => {
+ *     res.type('text/plain').send(toPrometheus(pubsub.getStats()));
+ * });
+ * ```
+ *
+ * @param {Object} stats Snapshot from `pubsub.getStats()`
+ * @param {Object} [options] Options
+ * @param {String} [options.prefix=pubsub_mqtt] Metric name prefix
+ * @param {Object} [options.labels] Labels added to all metrics
+ * @return {String}
+ */
+module.exports.toPrometheus = function $toPrometheus(stats = {}, options = {}) {
+    const prefix = options.prefix || 'pubsub_mqtt';
+    const globalLabels = options.labels || {};
+    const lines = [];
+
+    Object.keys(stats).forEach(name => {
+        const metric = stats[name];
+        const fullName = `${prefix}_${metric.name || name}`;
+
+        lines.push(`# HELP ${fullName} ${metric.help}`);
+        lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+        Object.keys(metric.values).forEach(topic => {
+            const labels = Object.assign({}, globalLabels);
+            if (topic) labels.topic = topic;
+
+            const value = metric.values[topic];
+
+            if (metric.type !== 'histogram') {
+                lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+                return;
+            }
+
+            metric.buckets.forEach((bucket, i) => {
+                const bucketLabels = Object.assign({}, labels, { le: bucket });
+                lines.push(`${fullName}_bucket${formatLabels(bucketLabels)} ${value.buckets[i]}`);
+            });
+
+            const infLabels = Object.assign({}, labels, { le: '+Inf' });
+            lines.push(`${fullName}_bucket${formatLabels(infLabels)} ${value.count}`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${value.count}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.DEFINITIONS = DEFINITIONS;
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (!keys.length) return '';
+    return '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}';
+}
+
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
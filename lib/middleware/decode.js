@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Decode inbound messages using the codec
+ * registered for the message topic.
+ *
+ * If the message can't be decoded we use
+ * the message as a string and emit a
+ * `message.malformed` event, unless the
+ * message is empty.
+ *
+ * If dead letters are enabled for the topic
+ * malformed messages are dead lettered and
+ * not dispatched.
+ *
+ * Middleware name: `decode`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+    return function $decode(ctx, next) {
+        try {
+            ctx.payload = pubsub.decode(ctx.topic, ctx.message);
+        } catch (error) {
+            ctx.payload = ctx.message.toString();
+            /*
+             * Empty messages, e.g. to clear a
+             * retained topic, are not malformed.
+             */
+            if (!ctx.payload) return next();
+            logger.warn('MQTT message payload could not be decoded');
+            pubsub.emit('message.malformed', {
+                topic: ctx.topic,
+                filter: ctx.keys && ctx.keys[0],
+                error
+            });
+
+            if (pubsub.deadLetters && pubsub.deadLetters.send({
+                topic: ctx.topic,
+                message: ctx.message,
+                error,
+                reason: 'malformed',
+                qos: (ctx.meta || {}).qos,
+                retain: (ctx.meta || {}).retain
+            })) return;
+        }
+        return next();
+    };
+};
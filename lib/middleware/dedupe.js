@@ -0,0 +1,123 @@
+'use strict';
+const match = require('mqtt-match');
+const Keypath = require('gkeypath');
+const createLRU = require('../lru');
+
+/**
+ * Suppress duplicate deliveries using the
+ * unique ID added by the `ensure.uuid` transform.
+ *
+ * IDs are tracked per topic, a payload that is
+ * forwarded to another topic keeps its ID and
+ * is not a duplicate.
+ *
+ * You need to enable it by setting the `dedupe`
+ * configuration option.
+ *
+ * Configuration options:
+ * - fieldName: Payload field with the message ID,
+ *              defaults to the `ensure.uuid` field name
+ * - maxSize: Max number of IDs we keep per window
+ * - ttl: Time in ms we keep an ID
+ * - topics: Map of topic filter to `{ maxSize, ttl }`.
+ *           If set only matching topics are checked
+ * - store: Store shared by all windows, it should
+ *          implement `add(key, ttl)` and return (a
+ *          promise to) `false` if key already existed.
+ *          Implement `delete(key)` so dead letter
+ *          replays are not dropped
+ *
+ * Duplicates are dropped and emitted as
+ * `message.duplicate`.
+ *
+ * Middleware name: `dedupe`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+    let options = config.dedupe;
+
+    if (!options) {
+        return function $dedupe(ctx, next) {
+            return next();
+        };
+    }
+
+    if (options === true) options = {};
+
+    const fieldName = options.fieldName ||
+        Keypath.get(config, 'transforms.ensure.uuid.fieldName', 'uuid');
+
+    const filters = Object.keys(options.topics || { '#': {} });
+
+    const windows = filters.map(filter => {
+        const settings = Object.assign({
+            maxSize: options.maxSize,
+            ttl: options.ttl,
+        }, (options.topics || {})[filter]);
+
+        return {
+            filter,
+            ttl: settings.ttl || 10 * 60 * 1000,
+            store: options.store || createLRU(settings)
+        };
+    });
+
+    pubsub.dedupe = {
+        fieldName,
+        windows,
+        duplicates: 0
+    };
+
+    /**
+     * Remove a message ID from our store so
+     * the message is delivered again, e.g. when
+     * we replay a dead letter.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Object} payload Decoded payload
+     * @return {Promise}
+     */
+    pubsub.dedupe.forget = function(topic, payload) {
+        if (!payload || typeof payload !== 'object' || !payload[fieldName]) {
+            return Promise.resolve(false);
+        }
+
+        const win = windows.find(win => match(win.filter, topic));
+
+        if (!win || typeof win.store.delete !== 'function') return Promise.resolve(false);
+
+        return Promise.resolve(win.store.delete(`${topic}|${payload[fieldName]}`));
+    };
+
+    return function $dedupe(ctx, next) {
+        const { topic, payload } = ctx;
+
+        if (!payload || typeof payload !== 'object' || !payload[fieldName]) {
+            return next();
+        }
+
+        const win = windows.find(win => match(win.filter, topic));
+
+        if (!win) return next();
+
+        const id = payload[fieldName];
+
+        return Promise.resolve(win.store.add(`${topic}|${id}`, win.ttl)).then(isNew => {
+            if (isNew) return next();
+
+            pubsub.dedupe.duplicates++;
+
+            logger.warn('MQTT duplicate message "%s" on topic "%s"', id, topic);
+
+            pubsub.emit('message.duplicate', {
+                topic,
+                id,
+                payload,
+                count: pubsub.dedupe.duplicates
+            });
+        });
+    };
+};
@@ -0,0 +1,85 @@
+'use strict';
+const extend = require('gextend');
+
+/**
+ * If our message was part of a request / response flow
+ * we add a response caller function to our payload so
+ * that we can respond to the given request.
+ * This will be handled by core.io's `respondTo` command
+ * flow.
+ * @see https://github.com/goliatone/application-core/blob/master/lib/application.js#L1386
+ *
+ * MQTT v5 messages carry the response topic and
+ * correlation data in the packet properties.
+ *
+ * The caller is available as `ctx.meta.response` and,
+ * for object payloads, under `responseOptions.callerKey`.
+ *
+ * Middleware name: `response`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ */
+module.exports = function $init(pubsub, config) {
+    const options = config.responseOptions;
+
+    return function $response(ctx, next) {
+        const { meta, payload } = ctx;
+
+        let responseTopic = meta.responseTopic;
+
+        if (!responseTopic && isObject(payload)) {
+            responseTopic = payload[options.topicKey];
+        }
+
+        if (!responseTopic) return next();
+
+        const caller = meta.response = function(data, error) {
+            caller.responded = true;
+            let message = pubsub.applyResponseMiddleware(data, error);
+            let publishOptions;
+            const responderKey = options.responderKey;
+            const responder = config.clientId || pubsub.guid;
+
+            /*
+             * Let requesters know who responded, this
+             * is used by scatter / gather requests.
+             */
+            if (pubsub.isV5()) {
+                publishOptions = {
+                    properties: {
+                        userProperties: {
+                            [responderKey]: responder
+                        }
+                    }
+                };
+                if (meta.correlationData) {
+                    publishOptions.properties.correlationData = meta.correlationData;
+                }
+            } else if (responderKey && isObject(message) && !message[responderKey]) {
+                message = extend({}, message, {
+                    [responderKey]: responder
+                });
+            }
+
+            /*
+             * Our response is part of the request's
+             * trace, even if we are called later on.
+             */
+            const send = _ => pubsub.publish(responseTopic, message, publishOptions);
+
+            if (pubsub.tracing && meta.trace) pubsub.tracing.run(meta.trace, send);
+            else send();
+        };
+
+        if (isObject(payload)) {
+            payload[options.callerKey] = caller;
+        }
+
+        return next();
+    };
+};
+
+function isObject(payload) {
+    return !!payload && typeof payload === 'object' && !Buffer.isBuffer(payload);
+}
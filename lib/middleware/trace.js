@@ -0,0 +1,55 @@
+'use strict';
+const Topics = require('../topics');
+
+/**
+ * Extract the W3C trace context from inbound
+ * messages, from MQTT v5 user properties or
+ * from the payload.
+ *
+ * We start a consumer span and run the rest
+ * of the pipeline with it as the active trace
+ * context, so messages published by handlers,
+ * including responses, are its children.
+ *
+ * The trace context is available to handlers
+ * as `meta.trace`.
+ *
+ * Middleware name: `trace`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+    return function $trace(ctx, next) {
+        const tracing = pubsub.tracing;
+
+        if (!tracing) return next();
+
+        const { topic, payload, meta } = ctx;
+
+        const parent = tracing.extract(meta.userProperties) || tracing.extract(payload);
+
+        /*
+         * Name spans by the matched filter, topics
+         * like request inboxes are unique.
+         */
+        const filter = ctx.keys && ctx.keys.length ? Topics.parse(ctx.keys[0]).filter : topic;
+
+        const { span, traceContext } = tracing.startSpan(`process ${filter}`, {
+            kind: 'consumer',
+            topic,
+            parent
+        });
+
+        meta.trace = traceContext;
+
+        return tracing.run(traceContext, next).then(result => {
+            tracing.endSpan(span);
+            return result;
+        }, error => {
+            tracing.endSpan(span, error);
+            throw error;
+        });
+    };
+};
@@ -0,0 +1,54 @@
+'use strict';
+const createValidator = require('../validation');
+
+/**
+ * Reject messages that do not match the
+ * schema registered for their topic.
+ *
+ * Invalid messages are not dispatched, we emit
+ * a `message.invalid` event and send an error
+ * response if the message was a request.
+ *
+ * We run after the `response` middleware so we
+ * can respond, the response caller it adds to
+ * the payload is not validated.
+ *
+ * Middleware name: `validate`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+    const callerKey = config.responseOptions && config.responseOptions.callerKey;
+
+    const withoutCaller = payload => {
+        if (!callerKey || !payload || typeof payload !== 'object') return payload;
+        if (typeof payload[callerKey] !== 'function') return payload;
+        const copy = Object.assign({}, payload);
+        delete copy[callerKey];
+        return copy;
+    };
+
+    return function $validate(ctx, next) {
+        if (!pubsub.validator.has('inbound')) return next();
+
+        const { topic, payload, meta } = ctx;
+
+        const errors = pubsub.validator.validate('inbound', topic, withoutCaller(payload));
+
+        if (!errors) return next();
+
+        logger.warn('MQTT message payload invalid for topic "%s"', topic);
+
+        const error = createValidator.createError(topic, errors, 'inbound');
+
+        pubsub.emit('message.invalid', {
+            topic,
+            payload,
+            errors
+        });
+
+        if (meta.response) meta.response(undefined, error);
+    };
+};
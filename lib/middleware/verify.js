@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Verify signed messages and decrypt
+ * encrypted payloads.
+ *
+ * What we do with a message depends on the
+ * policy for its topic:
+ * - `require`: Reject unsigned and invalid messages
+ * - `verify`: Reject invalid messages, accept unsigned
+ * - `ignore`: Do not check signatures
+ *
+ * Signatures are checked against the topic and
+ * MQTT v5 response properties the message was
+ * received with.
+ *
+ * Rejected messages are not dispatched and we
+ * do not respond to them, since we can't trust
+ * their response topic. We emit a
+ * `message.rejected` event instead.
+ *
+ * Middleware name: `verify`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+
+    const reject = (ctx, reason, error) => {
+        logger.warn('MQTT message rejected for topic "%s": %s', ctx.topic, reason);
+        pubsub.emit('message.rejected', {
+            topic: ctx.topic,
+            payload: ctx.payload,
+            reason,
+            error
+        });
+    };
+
+    return function $verify(ctx, next) {
+        const security = pubsub.security;
+
+        if (!security) return next();
+
+        const policy = security.policyFor(ctx.topic);
+
+        if (security.signing && policy !== 'ignore') {
+            const meta = ctx.meta || {};
+            const result = security.verify(ctx.payload, {
+                topic: ctx.topic,
+                responseTopic: meta.responseTopic,
+                correlationData: meta.correlationData,
+                retain: meta.retain,
+            });
+
+            if (!result.signed && policy === 'require') {
+                return reject(ctx, result.reason);
+            }
+
+            if (result.signed && !result.valid) {
+                return reject(ctx, result.reason);
+            }
+        }
+
+        if (security.isEncrypted(ctx.payload)) {
+            try {
+                ctx.payload = security.decrypt(ctx.payload);
+            } catch (error) {
+                return reject(ctx, 'decrypt', error);
+            }
+        }
+
+        return next();
+    };
+};
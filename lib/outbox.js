@@ -0,0 +1,259 @@
+'use strict';
+const fs = require('fs');
+const extend = require('gextend');
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+    /**
+     * Max number of messages we keep.
+     * Set to 0 to disable the limit.
+     */
+    maxSize: 1000,
+    /**
+     * Max age in milliseconds of a buffered
+     * message. Set to 0 to disable the limit.
+     */
+    maxAge: 0,
+    /**
+     * What to do when the outbox is full:
+     * - `drop-oldest`: Remove the oldest message
+     * - `drop-newest`: Discard the incoming message
+     */
+    dropPolicy: 'drop-oldest',
+    /**
+     * Path to an append-only file used to
+     * persist buffered messages.
+     */
+    persist: false,
+};
+
+/**
+ * Outbox to buffer publish calls while our
+ * client is offline.
+ *
+ * Events:
+ * - `buffered`: A message was added. Payload `{ size }`
+ * - `dropped`: A message was discarded. Payload `{ reason, size }`
+ * - `flushed`: Messages were sent. Payload `{ count, size }`
+ *
+ * @param {Object} options Configuration object
+ * @param {Number} [options.maxSize=1000] Max number of messages
+ * @param {Number} [options.maxAge=0] Max message age in ms
+ * @param {String} [options.dropPolicy=drop-oldest] Policy when full
+ * @param {String} [options.persist=false] File path to persist messages
+ * @return {EventEmitter} Outbox
+ */
+module.exports = function $createOutbox(options = {}) {
+
+    options = extend({}, DEFAULTS, options);
+
+    const outbox = new EventEmitter();
+
+    outbox.options = options;
+    outbox.queue = [];
+    outbox._fileEntries = 0;
+
+    outbox.size = function() {
+        return outbox.queue.length;
+    };
+
+    /**
+     * Add a message to the outbox.
+     *
+     * @param {String} topic MQTT topic
+     * @param {String|Buffer} data Serialized payload
+     * @param {Object} [publishOptions] Publish options
+     * @param {Function} [callback] Called once sent or dropped, not persisted
+     * @return {Boolean} False if message was dropped
+     */
+    outbox.push = function(topic, data, publishOptions, callback) {
+        outbox._expire();
+
+        if (options.maxSize && outbox.queue.length >= options.maxSize) {
+            if (options.dropPolicy === 'drop-newest') {
+                notifyDropped({ callback }, 'full');
+                outbox.emit('dropped', {
+                    reason: 'full',
+                    size: outbox.queue.length
+                });
+                return false;
+            }
+            notifyDropped(outbox.queue.shift(), 'full');
+            outbox.emit('dropped', {
+                reason: 'full',
+                size: outbox.queue.length
+            });
+        }
+
+        let entry = {
+            topic,
+            data,
+            options: publishOptions,
+            timestamp: Date.now(),
+            callback
+        };
+
+        outbox.queue.push(entry);
+        outbox._append(entry);
+
+        outbox.emit('buffered', {
+            size: outbox.queue.length
+        });
+
+        return true;
+    };
+
+    /**
+     * Send all buffered messages in order.
+     *
+     * @param {Function} send Called with `(topic, data, options, callback)`
+     * @param {Function} [canSend] Return false to stop flushing
+     * @return {Number} Count of messages sent
+     */
+    outbox.flush = function(send, canSend = _ => true) {
+        outbox._expire();
+
+        let count = 0;
+        while (outbox.queue.length && canSend()) {
+            let entry = outbox.queue.shift();
+            send(entry.topic, entry.data, entry.options, entry.callback);
+            count++;
+        }
+
+        outbox._compact();
+
+        if (count) {
+            outbox.emit('flushed', {
+                count,
+                size: outbox.queue.length
+            });
+        }
+
+        return count;
+    };
+
+    outbox._expire = function() {
+        if (!options.maxAge) return;
+
+        let limit = Date.now() - options.maxAge;
+        let count = 0;
+
+        while (outbox.queue.length && outbox.queue[0].timestamp < limit) {
+            notifyDropped(outbox.queue.shift(), 'expired');
+            count++;
+        }
+
+        if (count) {
+            outbox.emit('dropped', {
+                reason: 'expired',
+                count,
+                size: outbox.queue.length
+            });
+        }
+    };
+
+    /**
+     * Append an entry to our persistence file.
+     * Buffers are stored as base64.
+     */
+    outbox._append = function(entry) {
+        if (!options.persist) return;
+
+        try {
+            fs.appendFileSync(options.persist, serialize(entry) + '\n');
+            outbox._fileEntries++;
+        } catch (error) {
+            outbox.emit('error', error);
+        }
+
+        /*
+         * Dropped messages are still in our file
+         * so we rewrite it once it grows too much.
+         */
+        if (options.maxSize && outbox._fileEntries > 2 * options.maxSize) {
+            outbox._compact();
+        }
+    };
+
+    /**
+     * Rewrite our persistence file with the
+     * messages still in the queue.
+     */
+    outbox._compact = function() {
+        if (!options.persist) return;
+
+        try {
+            let content = outbox.queue.map(serialize).join('\n');
+            if (content) content += '\n';
+            fs.writeFileSync(options.persist, content);
+            outbox._fileEntries = outbox.queue.length;
+        } catch (error) {
+            outbox.emit('error', error);
+        }
+    };
+
+    /**
+     * Load messages persisted by a previous
+     * process.
+     */
+    outbox._load = function() {
+        if (!options.persist || !fs.existsSync(options.persist)) return;
+
+        let lines = fs.readFileSync(options.persist, 'utf8').split('\n');
+
+        lines.forEach(line => {
+            if (!line) return;
+            try {
+                outbox.queue.push(deserialize(line));
+            } catch (e) {
+                /*
+                 * Last line might be truncated if we
+                 * crashed while writing.
+                 */
+            }
+        });
+
+        if (options.maxSize && outbox.queue.length > options.maxSize) {
+            outbox.queue = outbox.queue.slice(-options.maxSize);
+        }
+
+        outbox._expire();
+        outbox._compact();
+    };
+
+    outbox._load();
+
+    return outbox;
+};
+
+/**
+ * Let the publisher know we dropped their
+ * message, callbacks are not persisted.
+ */
+function notifyDropped(entry, reason) {
+    if (!entry || typeof entry.callback !== 'function') return;
+    const error = new Error(`Outbox message dropped: ${reason}`);
+    error.code = 'OUTBOX_DROPPED';
+    error.reason = reason;
+    entry.callback(error);
+}
+
+function serialize(entry) {
+    let isBuffer = Buffer.isBuffer(entry.data);
+    return JSON.stringify({
+        topic: entry.topic,
+        data: isBuffer ? entry.data.toString('base64') : entry.data,
+        binary: isBuffer || undefined,
+        options: entry.options,
+        timestamp: entry.timestamp
+    });
+}
+
+function deserialize(line) {
+    let entry = JSON.parse(line);
+    if (entry.binary) entry.data = Buffer.from(entry.data, 'base64');
+    delete entry.binary;
+    return entry;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,164 @@
+'use strict';
+
+const DEFAULTS = {
+    /**
+     * Topic prefix, each instance answers on
+     * `${topic}/${clientId}`.
+     */
+    topic: 'core$/pubsub/ping',
+    /**
+     * Time in ms we wait for a pong.
+     */
+    timeout: 5000,
+    /**
+     * Ping ourselves through the broker on an
+     * interval and emit `degraded` if latency
+     * goes over the threshold:
+     * `{ interval: 30000, threshold: 1000 }`
+     */
+    selfCheck: false,
+};
+
+/**
+ * Add the ping / pong flow to a pubsub
+ * instance.
+ *
+ * Every instance answers pings sent to its
+ * ping topic using the request / response flow.
+ *
+ * Events:
+ * - `degraded`: Self check latency over the threshold or timed out.
+ *   Payload `{ latency, threshold, error }`
+ * - `recovered`: Self check latency is back under the threshold.
+ *   Payload `{ latency, threshold }`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+
+    const options = Object.assign({}, DEFAULTS, config.ping);
+    const clientId = config.clientId || pubsub.guid;
+
+    const prefix = pubsub.resolveTopic(options.topic);
+    const topicFor = id => `${prefix}/${id}`;
+
+    pubsub.subscribe(topicFor(clientId), (topic, payload = {}) => {
+        return {
+            pong: true,
+            client: clientId,
+            sent: payload.sent,
+        };
+    });
+
+    /**
+     * Ping an instance by client ID.
+     *
+     * We send `count` pings, one every `interval`
+     * ms, and resolve with round trip statistics
+     * in ms. Lost pings are pings that failed or
+     * timed out.
+     *
+     * @param {String} id Client ID
+     * @param {Object} [pingOptions] Options
+     * @param {Number} [pingOptions.count=1] Number of pings
+     * @param {Number} [pingOptions.interval=1000] Time in ms between pings
+     * @param {Number} [pingOptions.timeout] Time in ms we wait for each pong
+     * @return {Promise} `{ client, sent, received, loss, min, avg, max, times }`
+     */
+    pubsub.ping = function(id, pingOptions = {}) {
+        const count = Math.max(1, pingOptions.count || 1);
+        const interval = pingOptions.interval === undefined ? 1000 : pingOptions.interval;
+        const timeout = pingOptions.timeout || options.timeout;
+
+        const times = [];
+
+        const send = seq => {
+            const sent = Date.now();
+
+            return pubsub.request(topicFor(id), { sent, seq }, {
+                timeoutResponseAfter: timeout
+            }).then(_ => {
+                times.push(Date.now() - sent);
+            }).catch(error => {
+                logger.warn('ping to "%s" failed: %s', id, error.message);
+            });
+        };
+
+        const pings = Array.from({ length: count - 1 }, (_, i) => i + 1);
+
+        const chain = pings.reduce((chain, seq) => {
+            return chain.then(_ => sleep(interval)).then(_ => send(seq));
+        }, send(0));
+
+        return chain.then(_ => summarize(id, count, times));
+    };
+
+    if (options.selfCheck) {
+        const selfCheck = Object.assign({
+            interval: 30 * 1000,
+            threshold: 1000,
+        }, options.selfCheck);
+
+        pubsub.degraded = false;
+
+        const check = _ => {
+            if (!pubsub.online || pubsub.closed) return;
+
+            pubsub.ping(clientId, {
+                timeout: Math.max(selfCheck.threshold, options.timeout)
+            }).then(stats => {
+                const latency = stats.max;
+                const degraded = stats.received === 0 || latency > selfCheck.threshold;
+
+                if (degraded) {
+                    pubsub.degraded = true;
+                    pubsub.emit('degraded', {
+                        latency,
+                        threshold: selfCheck.threshold,
+                        error: stats.received === 0 ? new Error('Timeout error') : undefined
+                    });
+                } else if (pubsub.degraded) {
+                    pubsub.degraded = false;
+                    pubsub.emit('recovered', {
+                        latency,
+                        threshold: selfCheck.threshold
+                    });
+                }
+            });
+        };
+
+        const intervalId = setInterval(check, selfCheck.interval);
+
+        pubsub.once('close', _ => clearInterval(intervalId));
+    }
+};
+
+function summarize(client, sent, times) {
+    const received = times.length;
+    const stats = {
+        client,
+        sent,
+        received,
+        loss: (sent - received) / sent,
+        min: undefined,
+        avg: undefined,
+        max: undefined,
+        times,
+    };
+
+    if (received) {
+        stats.min = Math.min.apply(Math, times);
+        stats.max = Math.max.apply(Math, times);
+        stats.avg = times.reduce((sum, time) => sum + time, 0) / received;
+    }
+
+    return stats;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports.DEFAULTS = DEFAULTS;
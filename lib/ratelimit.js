@@ -0,0 +1,299 @@
+'use strict';
+const match = require('mqtt-match');
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+    /**
+     * Messages per second for all topics.
+     * Set to 0 to disable the global limit.
+     */
+    rate: 0,
+    /**
+     * Bucket size, max messages sent in a
+     * burst. Defaults to `rate`.
+     */
+    burst: undefined,
+    /**
+     * What to do when we are over the limit:
+     * - `queue`: Wait for tokens, reject if the queue is full
+     * - `drop-oldest`: Wait for tokens, drop the oldest queued message if full
+     * - `drop-newest`: Wait for tokens, drop the new message if full
+     * - `reject`: Throw a `RATE_LIMITED` error
+     */
+    policy: 'queue',
+    /**
+     * Max number of queued messages per bucket.
+     */
+    maxQueue: 1000,
+    /**
+     * Limits per topic filter, first match wins:
+     * `{ 'telemetry/#': { rate: 10, burst: 20, policy: 'drop-oldest' } }`
+     */
+    topics: {},
+};
+
+const POLICIES = ['queue', 'drop-oldest', 'drop-newest', 'reject'];
+
+/**
+ * Create a token bucket rate limiter for
+ * outbound messages.
+ *
+ * Messages take a token from the global bucket
+ * and from the bucket of the first topic filter
+ * that matches. Each filter has its own queue
+ * so a busy topic does not hold back others.
+ *
+ * Events:
+ * - `dropped`: A message was discarded. Payload `{ topic, reason, size }`
+ *
+ * @param {Object} options Configuration object
+ * @param {Number} [options.rate=0] Global messages per second
+ * @param {Number} [options.burst] Global bucket size
+ * @param {String} [options.policy=queue] Policy when over the limit
+ * @param {Number} [options.maxQueue=1000] Max queued messages per bucket
+ * @param {Object} [options.topics] Limits per topic filter
+ * @return {EventEmitter} limiter
+ */
+module.exports = function $createRateLimiter(options = {}) {
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    const limiter = new EventEmitter();
+
+    limiter.options = options;
+    limiter.global = createBucket(options);
+    limiter.buckets = {};
+    limiter.queues = new Map();
+
+    Object.keys(options.topics || {}).forEach(filter => {
+        limiter.buckets[filter] = createBucket(Object.assign({
+            policy: options.policy,
+            maxQueue: options.maxQueue,
+        }, options.topics[filter]));
+    });
+
+    [limiter.global].concat(Object.values(limiter.buckets)).forEach(bucket => {
+        if (POLICIES.indexOf(bucket.policy) === -1) {
+            throw new TypeError(`Unknown rate limit policy "${bucket.policy}"`);
+        }
+    });
+
+    /**
+     * Send a message now if we have tokens,
+     * otherwise apply our policy.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Function} send Sends the message
+     * @param {Function} [drop] Called with an error if the message is dropped
+     * @param {Boolean} [force=false] Always queue, used to flush the outbox
+     * @throws {Error} If the policy rejects the message
+     * @return {Boolean} False if the message was dropped
+     */
+    limiter.schedule = function(topic, send, drop, force = false) {
+        const key = limiter.keyFor(topic);
+        const buckets = limiter.bucketsFor(key);
+
+        if (!buckets.length) {
+            send();
+            return true;
+        }
+
+        let queue = limiter.queues.get(key);
+
+        if ((!queue || !queue.length) && take(buckets)) {
+            send();
+            return true;
+        }
+
+        const bucket = buckets[buckets.length - 1];
+
+        if (!force && bucket.policy === 'reject') {
+            throw createError(topic, 'rate');
+        }
+
+        if (!queue) {
+            queue = [];
+            limiter.queues.set(key, queue);
+        }
+
+        if (!force && bucket.maxQueue && queue.length >= bucket.maxQueue) {
+            if (bucket.policy === 'queue') {
+                throw createError(topic, 'full');
+            }
+
+            if (bucket.policy === 'drop-newest') {
+                limiter._drop({ topic, drop }, 'full', queue.length);
+                return false;
+            }
+
+            limiter._drop(queue.shift(), 'full', queue.length);
+        }
+
+        queue.push({ topic, send, drop });
+
+        limiter._scheduleDrain();
+
+        return true;
+    };
+
+    /**
+     * Get the queue key for a topic, the
+     * filter that matches or `''`.
+     *
+     * @param {String} topic MQTT topic
+     * @return {String}
+     */
+    limiter.keyFor = function(topic) {
+        const filter = Object.keys(limiter.buckets).find(filter => match(filter, topic));
+        return filter || '';
+    };
+
+    limiter.bucketsFor = function(key) {
+        const buckets = [];
+        if (limiter.global.rate) buckets.push(limiter.global);
+        if (key && limiter.buckets[key].rate) buckets.push(limiter.buckets[key]);
+        return buckets;
+    };
+
+    /**
+     * Number of queued messages.
+     *
+     * @return {Number}
+     */
+    limiter.size = function() {
+        let size = 0;
+        limiter.queues.forEach(queue => size += queue.length);
+        return size;
+    };
+
+    /**
+     * Send queued messages we have tokens for
+     * and schedule the next drain.
+     */
+    limiter.drain = function() {
+        clearTimeout(limiter._timeoutId);
+        limiter._timeoutId = undefined;
+
+        limiter.queues.forEach((queue, key) => {
+            const buckets = limiter.bucketsFor(key);
+            while (queue.length && take(buckets)) {
+                queue.shift().send();
+            }
+        });
+
+        limiter._scheduleDrain();
+    };
+
+    /**
+     * Send all queued messages ignoring
+     * limits, e.g. before closing.
+     */
+    limiter.flush = function() {
+        clearTimeout(limiter._timeoutId);
+        limiter._timeoutId = undefined;
+
+        const queues = limiter.queues;
+        limiter.queues = new Map();
+
+        queues.forEach(queue => queue.forEach(item => item.send()));
+    };
+
+    /**
+     * Drop all queued messages.
+     */
+    limiter.clear = function() {
+        clearTimeout(limiter._timeoutId);
+        limiter._timeoutId = undefined;
+
+        const queues = limiter.queues;
+        limiter.queues = new Map();
+
+        queues.forEach(queue => queue.forEach(item => limiter._drop(item, 'cleared', 0)));
+    };
+
+    limiter._scheduleDrain = function() {
+        if (limiter._timeoutId) return;
+
+        let wait = Infinity;
+
+        limiter.queues.forEach((queue, key) => {
+            if (!queue.length) return;
+            wait = Math.min(wait, waitFor(limiter.bucketsFor(key)));
+        });
+
+        if (wait === Infinity) return;
+
+        limiter._timeoutId = setTimeout(limiter.drain, Math.max(1, Math.ceil(wait)));
+    };
+
+    limiter._drop = function(item, reason, size) {
+        limiter.emit('dropped', {
+            topic: item.topic,
+            reason,
+            size
+        });
+        if (typeof item.drop === 'function') item.drop(createError(item.topic, reason));
+    };
+
+    return limiter;
+};
+
+function createBucket(options) {
+    const rate = options.rate || 0;
+    const capacity = Math.max(1, options.burst || rate);
+    return {
+        rate,
+        capacity,
+        tokens: capacity,
+        updated: Date.now(),
+        policy: options.policy,
+        maxQueue: options.maxQueue,
+    };
+}
+
+function refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updated) / 1000 * bucket.rate);
+    bucket.updated = now;
+}
+
+/**
+ * Take a token from each bucket, only if
+ * all of them have one.
+ */
+function take(buckets) {
+    buckets.forEach(refill);
+    if (!buckets.every(bucket => bucket.tokens >= 1)) return false;
+    buckets.forEach(bucket => bucket.tokens -= 1);
+    return true;
+}
+
+/**
+ * Time in ms until all buckets have a token.
+ */
+function waitFor(buckets) {
+    buckets.forEach(refill);
+    return buckets.reduce((wait, bucket) => {
+        if (bucket.tokens >= 1) return wait;
+        return Math.max(wait, (1 - bucket.tokens) / bucket.rate * 1000);
+    }, 0);
+}
+
+/**
+ * Create a rate limit error.
+ *
+ * @param {String} topic MQTT topic
+ * @param {String} reason `rate`, `full` or `cleared`
+ * @return {Error}
+ */
+function createError(topic, reason) {
+    const error = new Error(`Rate limit exceeded for topic "${topic}"`);
+    error.code = 'RATE_LIMITED';
+    error.topic = topic;
+    error.reason = reason;
+    return error;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.POLICIES = POLICIES;
+module.exports.createError = createError;
@@ -1,3 +1,11 @@
+'use strict';
+const EventEmitter = require('events');
+
+const TOPICS = {
+    beat: 'core$/pubsub/instance/beat',
+    join: 'core$/pubsub/instance/join',
+};
+
 /**
  * This provides a default registration flow for
  * pubsub instances.
@@ -13,8 +21,18 @@ module.exports.registerClient = function $registerClient(pubsub, config = {}) {
 
     const now = Date.now();
 
-    const bipTopic = 'core$/pubsub/instance/beat';
-    const ackTopic = 'core$/pubsub/instance/join';
+    const topics = config.registryTopics || TOPICS;
+
+    /*
+     * Apply our pubsub namespace if any.
+     */
+    const topicFor = topic => {
+        if (typeof pubsub._applyNamespace !== 'function') return topic;
+        return pubsub._applyNamespace(topic);
+    };
+
+    const bipTopic = topicFor(topics.beat);
+    const ackTopic = topicFor(topics.join);
 
     let registrationPayload = {
         client: config.clientId,
@@ -22,22 +40,33 @@ module.exports.registerClient = function $registerClient(pubsub, config = {}) {
         boot: now,
     };
 
-    let initialPayload = JSON.stringify(registrationPayload);
+    /*
+     * Sign registry messages if our pubsub
+     * instance signs payloads.
+     */
+    const serialize = (topic, payload) => {
+        if (typeof pubsub._sign !== 'function') return JSON.stringify(payload);
+        return JSON.stringify(pubsub._sign(Object.assign({}, payload), topic));
+    };
+
+    let initialPayload = Object.assign({}, registrationPayload);
 
     /**
      * We should notify that our client is up to
      * the main system channel
      */
-    pubsub.client.on('connect', _ => {
-        pubsub.client.publish(ackTopic, initialPayload);
-    });
+    const onConnect = _ => {
+        pubsub.client.publish(ackTopic, serialize(topics.join, initialPayload));
+    };
+
+    pubsub.client.on('connect', onConnect);
 
     let intervalId;
 
     const ping = _ => {
         try {
             registrationPayload.now = Date.now();
-            let pingPayload = JSON.stringify(registrationPayload);
+            let pingPayload = serialize(topics.beat, registrationPayload);
             pubsub.client.publish(bipTopic, pingPayload);
         } catch (error) {
 
@@ -47,15 +76,143 @@ module.exports.registerClient = function $registerClient(pubsub, config = {}) {
     if (config.registryPingInterval) {
         intervalId = setInterval(ping, config.registryPingInterval);
     }
+
+    /*
+     * Our client might be shared, clean up
+     * when the pubsub instance is closed.
+     */
+    pubsub.once('close', _ => {
+        clearInterval(intervalId);
+        pubsub.client.removeListener('connect', onConnect);
+    });
 };
 
 /**
  * We can create a registry manager to track all different instances
  * and keep track of who is online and who goes down.
  *
+ * The manager listens to the join and beat topics published
+ * by `registerClient` and to the LWT topic. Instances are
+ * keyed by their clientId.
+ *
+ * Events:
+ * - `instance.up`: An instance joined or came back after being stale
+ * - `instance.down`: We got the LWT or a down message for an instance
+ * - `instance.stale`: An instance stopped sending beats
+ *
  * @param {Client} client PubSub client
  * @param {Object} config Configuration object
+ * @param {Number} [config.registryStaleAfter] Time in ms without beats before we flag an instance as stale
+ * @param {Number} [config.registryCheckInterval] Time in ms between stale checks
+ * @param {Object} [config.registryTopics] Registry `join` and `beat` topics
+ * @return {EventEmitter} Registry manager
  */
 module.exports.createManager = function $createManager(client, config = {}) {
 
+    const manager = new EventEmitter();
+
+    const staleAfter = config.registryStaleAfter ||
+        (config.registryPingInterval ? 3 * config.registryPingInterval : 15 * 60 * 1000);
+
+    const checkInterval = config.registryCheckInterval || Math.ceil(staleAfter / 2);
+
+    /*
+     * Resolve topic templates if our client
+     * supports them.
+     */
+    const resolve = topic => {
+        if (typeof client.resolveTopic !== 'function') return topic;
+        return client.resolveTopic(topic);
+    };
+
+    const topics = config.registryTopics || TOPICS;
+
+    const downTopic = resolve(config.transport && config.transport.will ?
+        config.transport.will.topic : 'service/down');
+
+    manager.instances = {};
+
+    /**
+     * List all instances we know about.
+     * @return {Array}
+     */
+    manager.list = function() {
+        return Object.keys(manager.instances).map(id => manager.instances[id]);
+    };
+
+    /**
+     * Get an instance by its client id.
+     * @param {String} clientId Client id
+     * @return {Object|undefined}
+     */
+    manager.get = function(clientId) {
+        return manager.instances[clientId];
+    };
+
+    manager._touch = function(payload = {}) {
+        const clientId = payload.client;
+        if (!clientId) return;
+
+        const now = Date.now();
+        let instance = manager.instances[clientId];
+        let wasAlive = instance && instance.status === 'up';
+
+        if (!instance || (payload.boot && payload.boot !== instance.boot)) {
+            instance = manager.instances[clientId] = {
+                clientId,
+                metadata: payload.metadata,
+                boot: payload.boot,
+                joined: now,
+            };
+            wasAlive = false;
+        }
+
+        if (payload.metadata) instance.metadata = payload.metadata;
+        instance.lastBeat = now;
+        instance.status = 'up';
+
+        if (!wasAlive) manager.emit('instance.up', instance);
+    };
+
+    manager._down = function(payload = {}) {
+        const instance = manager.instances[payload.client];
+        if (!instance || instance.status === 'down') return;
+        instance.status = 'down';
+        instance.down = Date.now();
+        manager.emit('instance.down', instance);
+    };
+
+    manager._checkStale = function() {
+        const now = Date.now();
+        manager.list().forEach(instance => {
+            if (instance.status !== 'up') return;
+            if (now - instance.lastBeat < staleAfter) return;
+            instance.status = 'stale';
+            manager.emit('instance.stale', instance);
+        });
+    };
+
+    /**
+     * Stop tracking instances.
+     */
+    manager.stop = function() {
+        clearInterval(manager._intervalId);
+    };
+
+    client.subscribe(resolve(topics.join), (topic, payload) => manager._touch(payload));
+    client.subscribe(resolve(topics.beat), (topic, payload) => manager._touch(payload));
+
+    if (downTopic) {
+        client.subscribe(downTopic, (topic, payload) => {
+            if (payload && payload.action === 'down') manager._down(payload);
+        });
+    }
+
+    manager._intervalId = setInterval(manager._checkStale, checkInterval);
+
+    client.once('close', manager.stop);
+
+    return manager;
 };
+
+module.exports.TOPICS = TOPICS;
@@ -0,0 +1,282 @@
+'use strict';
+
+const DEFAULTS = {
+    /**
+     * Topic prefix, methods are exposed on
+     * `${prefix}/${service}/${method}`.
+     */
+    prefix: 'core$/rpc',
+    /**
+     * Time in ms we wait for a response,
+     * defaults to `timeoutResponseAfter`.
+     */
+    timeout: undefined,
+    /**
+     * Method name used for discovery.
+     */
+    discoveryMethod: '_describe',
+};
+
+/**
+ * Add the RPC layer to a pubsub instance.
+ *
+ * Services expose methods on one topic per
+ * method. Requests have an `args` array and
+ * responses are either `{ success: true, result }`
+ * or `{ success: false, error }`.
+ *
+ * Each service also answers a discovery topic
+ * with its version and the methods it exposes.
+ *
+ * Events:
+ * - `rpc.error`: A method threw. Payload `{ service, method, error }`
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {Object} config Configuration object
+ * @param {Object} logger Logger
+ */
+module.exports = function $init(pubsub, config, logger) {
+
+    const options = Object.assign({}, DEFAULTS, config.rpc);
+    const prefix = pubsub.resolveTopic(options.prefix);
+    const clientId = config.clientId || pubsub.guid;
+
+    const topicFor = (service, method) => `${prefix}/${service}/${method}`;
+
+    pubsub._services = {};
+
+    /**
+     * Expose the methods of a service.
+     *
+     * Methods can be functions or objects with
+     * a `handler` function and a `version`. They
+     * are called with the request arguments and
+     * can return a promise.
+     *
+     * ```js
+     * pubsub.expose('billing', {
+     *     charge(accountId, amount) {},
+     *     refund: { handler: refund, version: '2.0.0' }
+     * }, { version: '1.4.0' });
+     * ```
+     *
+     * @param {String} service Service name
+     * @param {Object} methods Map of method name to function
+     * @param {Object} [exposeOptions] Options
+     * @param {String} [exposeOptions.version] Service version
+     * @param {String} [exposeOptions.group] Shared subscription group
+     * @return {this}
+     */
+    pubsub.expose = function(service, methods = {}, exposeOptions = {}) {
+        if (pubsub._services[service]) pubsub.unexpose(service);
+
+        const definition = {
+            service,
+            version: exposeOptions.version,
+            group: exposeOptions.group,
+            methods: {},
+            handlers: [],
+        };
+
+        methodNames(methods).forEach(name => {
+            let method = methods[name];
+            if (typeof method === 'function') method = { handler: method };
+            if (!method || typeof method.handler !== 'function') return;
+
+            definition.methods[name] = {
+                version: method.version || definition.version
+            };
+
+            add(definition, topicFor(service, name), (topic, payload = {}) => {
+                const args = Array.isArray(payload.args) ? payload.args : [];
+
+                return Promise.resolve()
+                    .then(_ => method.handler.apply(methods, args))
+                    .then(result => ({
+                        success: true,
+                        result
+                    }))
+                    .catch(error => {
+                        logger.error('rpc: %s.%s failed: %s', service, name, error.message);
+                        pubsub.emit('rpc.error', { service, method: name, error });
+                        return {
+                            success: false,
+                            error: serializeError(error)
+                        };
+                    });
+            });
+        });
+
+        add(definition, topicFor(service, options.discoveryMethod), _ => ({
+            success: true,
+            result: pubsub.describe(service)
+        }));
+
+        pubsub._services[service] = definition;
+
+        return this;
+    };
+
+    /**
+     * Stop exposing a service.
+     *
+     * @param {String} service Service name
+     * @return {this}
+     */
+    pubsub.unexpose = function(service) {
+        const definition = pubsub._services[service];
+        if (!definition) return this;
+
+        definition.handlers.forEach(({ topic, handler }) => {
+            pubsub.unsubscribe(topic, handler, { group: definition.group });
+        });
+
+        delete pubsub._services[service];
+
+        return this;
+    };
+
+    /**
+     * Describe a service we expose.
+     *
+     * @param {String} service Service name
+     * @return {Object|undefined} `{ service, version, client, methods }`
+     */
+    pubsub.describe = function(service) {
+        const definition = pubsub._services[service];
+        if (!definition) return;
+
+        return {
+            service,
+            version: definition.version,
+            client: clientId,
+            methods: definition.methods,
+        };
+    };
+
+    /**
+     * Get a proxy for a remote service, each
+     * method call is a request:
+     *
+     * ```js
+     * const billing = pubsub.proxy('billing', {
+     *     timeouts: { charge: 10000 }
+     * });
+     * const receipt = await billing.charge('acc-1', 100);
+     * ```
+     *
+     * Calls reject with the error thrown by the
+     * remote method, the error has `remote` set
+     * to `true`.
+     *
+     * @param {String} service Service name
+     * @param {Object} [proxyOptions] Options
+     * @param {Number} [proxyOptions.timeout] Default timeout in ms
+     * @param {Object} [proxyOptions.timeouts] Map of method name to timeout in ms
+     * @return {Object} Service proxy
+     */
+    pubsub.proxy = function(service, proxyOptions = {}) {
+        const timeouts = proxyOptions.timeouts || {};
+        const methods = {};
+
+        const call = (method, args) => {
+            const timeout = timeouts[method] || proxyOptions.timeout || options.timeout;
+            const requestOptions = {};
+            if (timeout) requestOptions.timeoutResponseAfter = timeout;
+
+            return pubsub.request(topicFor(service, method), { args }, requestOptions)
+                .then(response => unwrap(service, method, response));
+        };
+
+        return new Proxy(methods, {
+            get(target, name) {
+                /*
+                 * Keep proxies from looking like
+                 * promises or being inspected.
+                 */
+                if (typeof name !== 'string' || IGNORED.indexOf(name) !== -1) return undefined;
+                if (!target[name]) target[name] = (...args) => call(name, args);
+                return target[name];
+            }
+        });
+    };
+
+    /**
+     * Discover the instances that expose a
+     * service, using a scatter / gather request.
+     *
+     * @param {String} service Service name
+     * @param {Object} [discoverOptions] Gather options, e.g. `windowMs`
+     * @return {Promise} List of `{ service, version, client, methods }`
+     */
+    pubsub.discover = function(service, discoverOptions = {}) {
+        return pubsub.gather(topicFor(service, options.discoveryMethod), {}, Object.assign({
+            windowMs: 1000
+        }, discoverOptions)).then(responses => {
+            return responses
+                .map(response => response.payload)
+                .filter(payload => payload && payload.success)
+                .map(payload => payload.result);
+        });
+    };
+
+    function add(definition, topic, handler) {
+        definition.handlers.push({ topic, handler });
+        pubsub.subscribe(topic, handler, { group: definition.group });
+    }
+};
+
+const IGNORED = ['then', 'catch', 'finally', 'toJSON', 'inspect', 'constructor'];
+
+/**
+ * Get the names of the functions of an object,
+ * including class methods.
+ */
+function methodNames(methods) {
+    const names = [];
+
+    const isMethod = name => {
+        if (name === 'constructor' || name.charAt(0) === '_') return false;
+        if (names.indexOf(name) !== -1) return false;
+        const value = methods[name];
+        return typeof value === 'function' || !!(value && typeof value.handler === 'function');
+    };
+
+    let target = methods;
+
+    while (target && target !== Object.prototype) {
+        names.push(...Object.getOwnPropertyNames(target).filter(isMethod));
+        target = Object.getPrototypeOf(target);
+    }
+
+    return names;
+}
+
+function serializeError(error = {}) {
+    return {
+        message: error.message,
+        code: error.code,
+        name: error.name,
+        errors: error.errors,
+    };
+}
+
+function unwrap(service, method, response) {
+    if (!response || typeof response !== 'object' || response.success === undefined) {
+        return response;
+    }
+
+    if (response.success) return response.result;
+
+    const details = response.error || {};
+    const error = new Error(details.message || `RPC ${service}.${method} failed`);
+    error.code = details.code;
+    error.errors = details.errors;
+    error.service = service;
+    error.method = method;
+    error.remote = true;
+
+    throw error;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,362 @@
+'use strict';
+const crypto = require('crypto');
+const match = require('mqtt-match');
+
+const DEFAULTS = {
+    signing: {
+        /**
+         * `hmac-sha256` or `ed25519`
+         */
+        algorithm: 'hmac-sha256',
+        /**
+         * Key ID used to sign outbound messages.
+         */
+        keyId: undefined,
+        /**
+         * Payload field holding the signature.
+         */
+        fieldName: 'signature',
+        /**
+         * Max age in ms of a signature, older
+         * live messages are rejected. Disabled
+         * by default.
+         */
+        maxAge: undefined,
+    },
+    encryption: {
+        /**
+         * Only `aes-256-gcm` is supported.
+         */
+        algorithm: 'aes-256-gcm',
+        /**
+         * Key ID used to encrypt outbound messages.
+         */
+        keyId: undefined,
+        /**
+         * Payload field holding the encrypted
+         * envelope.
+         */
+        fieldName: 'encrypted',
+    },
+    /**
+     * Key store, map of key ID to key:
+     * - hmac-sha256: Secret string or Buffer
+     * - ed25519: `{ privateKey, publicKey }`
+     * - aes-256-gcm: 32 bytes Buffer or base64 string
+     */
+    keys: {},
+    /**
+     * Key provider, called with `(keyId, purpose)`
+     * where purpose is one of `sign`, `verify`,
+     * `encrypt` or `decrypt`. Falls back to `keys`.
+     */
+    getKey: undefined,
+    /**
+     * Inbound policy per topic filter, first match wins:
+     * - `require`: Reject unsigned and invalid messages
+     * - `verify`: Reject invalid messages, accept unsigned
+     * - `ignore`: Do not check signatures
+     */
+    policy: {
+        '#': 'verify'
+    },
+};
+
+/**
+ * AES-GCM auth tag length in bytes.
+ */
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Create the helpers used to sign, verify,
+ * encrypt and decrypt payloads.
+ *
+ * We use encrypt-then-sign. Signatures are
+ * computed over a canonical JSON serialization
+ * of the payload, without the signature field,
+ * so they survive a decode / encode round trip.
+ * The signed data also covers the topic, the
+ * MQTT v5 response topic and correlation data,
+ * and the time we signed, so a message can't
+ * be replayed on another topic or have its
+ * response redirected.
+ *
+ * @param {Object} options Configuration object
+ * @return {Object} security
+ */
+module.exports = function $createSecurity(options = {}) {
+
+    const signing = Object.assign({}, DEFAULTS.signing, options.signing);
+    const encryption = Object.assign({}, DEFAULTS.encryption, options.encryption);
+    const keys = options.keys || DEFAULTS.keys;
+    const policy = options.policy || DEFAULTS.policy;
+
+    if (encryption.algorithm !== DEFAULTS.encryption.algorithm) {
+        throw new TypeError(`Unsupported encryption algorithm "${encryption.algorithm}"`);
+    }
+
+    const security = {
+        signing: options.signing ? signing : undefined,
+        encryption: options.encryption ? encryption : undefined,
+    };
+
+    /**
+     * Get a key by ID.
+     *
+     * @param {String} keyId Key ID
+     * @param {String} purpose `sign`, `verify`, `encrypt` or `decrypt`
+     * @return {Mixed}
+     */
+    security.getKey = function(keyId, purpose) {
+        let key;
+        if (typeof options.getKey === 'function') key = options.getKey(keyId, purpose);
+        if (key === undefined) key = keys[keyId];
+        if (key === undefined) throw new Error(`Unknown key "${keyId}"`);
+        return key;
+    };
+
+    /**
+     * Get the inbound policy for a topic.
+     *
+     * @param {String} topic MQTT topic
+     * @return {String} `require`, `verify` or `ignore`
+     */
+    security.policyFor = function(topic) {
+        const filter = Object.keys(policy).find(filter => match(filter, topic));
+        return filter ? policy[filter] : 'ignore';
+    };
+
+    /**
+     * Add a signature to a payload.
+     *
+     * @param {Object} payload Payload
+     * @param {Object} [message] Message the payload is sent with
+     * @param {String} [message.topic] Topic, without namespace
+     * @param {String} [message.responseTopic] MQTT v5 response topic, without namespace
+     * @param {Buffer} [message.correlationData] MQTT v5 correlation data
+     * @return {Object} Signed payload
+     */
+    security.sign = function(payload, message = {}) {
+        const signedAt = Date.now();
+        const data = signedData(payload, message, signedAt);
+        const key = security.getKey(signing.keyId, 'sign');
+
+        let value;
+        if (signing.algorithm === 'ed25519') {
+            value = crypto.sign(null, data, privateKeyOf(key)).toString('base64');
+        } else {
+            value = hmac(key, data);
+        }
+
+        payload[signing.fieldName] = {
+            alg: signing.algorithm,
+            kid: signing.keyId,
+            signedAt,
+            value
+        };
+
+        return payload;
+    };
+
+    /**
+     * Verify a payload's signature.
+     *
+     * If `signing.maxAge` is set we reject
+     * signatures older than that, unless the
+     * message is a retained one.
+     *
+     * @param {Object} payload Payload
+     * @param {Object} [message] Message the payload was received with
+     * @param {String} [message.topic] Topic, without namespace
+     * @param {String} [message.responseTopic] MQTT v5 response topic, without namespace
+     * @param {Buffer} [message.correlationData] MQTT v5 correlation data
+     * @param {Boolean} [message.retain] True for retained messages
+     * @return {Object} `{ signed, valid, reason }`
+     */
+    security.verify = function(payload, message = {}) {
+        const signature = isObject(payload) ? payload[signing.fieldName] : undefined;
+
+        if (!signature || !signature.value) {
+            return { signed: false, valid: false, reason: 'unsigned' };
+        }
+
+        if (signature.alg !== signing.algorithm) {
+            return { signed: true, valid: false, reason: 'algorithm' };
+        }
+
+        try {
+            const data = signedData(payload, message, signature.signedAt);
+            const key = security.getKey(signature.kid, 'verify');
+
+            let valid;
+            if (signature.alg === 'ed25519') {
+                valid = crypto.verify(null, data, publicKeyOf(key), Buffer.from(signature.value, 'base64'));
+            } else {
+                valid = safeEqual(hmac(key, data), signature.value);
+            }
+
+            if (!valid) return { signed: true, valid, reason: 'signature' };
+
+            if (signing.maxAge && !message.retain && isExpired(signature.signedAt, signing.maxAge)) {
+                return { signed: true, valid: false, reason: 'expired' };
+            }
+
+            return { signed: true, valid };
+        } catch (error) {
+            return { signed: true, valid: false, reason: error.message };
+        }
+    };
+
+    /**
+     * Encrypt a payload, the result is an object
+     * with the encrypted envelope.
+     *
+     * @param {Object} payload Payload
+     * @return {Object} Envelope
+     */
+    security.encrypt = function(payload) {
+        const key = toKey(security.getKey(encryption.keyId, 'encrypt'));
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(encryption.algorithm, key, iv, {
+            authTagLength: AUTH_TAG_LENGTH
+        });
+        const data = Buffer.concat([
+            cipher.update(JSON.stringify(payload), 'utf8'),
+            cipher.final()
+        ]);
+
+        return {
+            [encryption.fieldName]: {
+                alg: encryption.algorithm,
+                kid: encryption.keyId,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            }
+        };
+    };
+
+    /**
+     * Check if a payload has an encrypted envelope.
+     *
+     * @param {Object} payload Payload
+     * @return {Boolean}
+     */
+    security.isEncrypted = function(payload) {
+        return isObject(payload) && isObject(payload[encryption.fieldName]);
+    };
+
+    /**
+     * Decrypt an encrypted envelope.
+     *
+     * We always use our configured algorithm,
+     * envelopes that name another one are
+     * rejected. Auth tags must be 16 bytes.
+     *
+     * @param {Object} payload Payload with envelope
+     * @throws {Error} If the envelope can't be decrypted
+     * @return {Mixed} Decrypted payload
+     */
+    security.decrypt = function(payload) {
+        const envelope = payload[encryption.fieldName];
+
+        if (envelope.alg !== encryption.algorithm) {
+            throw new Error(`Unsupported encryption algorithm "${envelope.alg}"`);
+        }
+
+        const tag = Buffer.from(String(envelope.tag), 'base64');
+        if (tag.length !== AUTH_TAG_LENGTH) {
+            throw new Error('Invalid authentication tag length');
+        }
+
+        const key = toKey(security.getKey(envelope.kid, 'decrypt'));
+        const decipher = crypto.createDecipheriv(
+            encryption.algorithm,
+            key,
+            Buffer.from(envelope.iv, 'base64'),
+            { authTagLength: AUTH_TAG_LENGTH }
+        );
+
+        decipher.setAuthTag(tag);
+
+        const data = Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final()
+        ]);
+
+        return JSON.parse(data.toString('utf8'));
+    };
+
+    /**
+     * Build the data we sign for a payload.
+     */
+    function signedData(payload, message, signedAt) {
+        const correlationData = message.correlationData;
+        return Buffer.from(canonical({
+            topic: message.topic,
+            responseTopic: message.responseTopic,
+            correlationData: correlationData ? Buffer.from(correlationData).toString('base64') : undefined,
+            signedAt,
+            payload: omit(payload, signing.fieldName),
+        }));
+    }
+
+    return security;
+};
+
+function isExpired(signedAt, maxAge) {
+    if (typeof signedAt !== 'number') return true;
+    return Math.abs(Date.now() - signedAt) > maxAge;
+}
+
+/**
+ * Serialize a value to JSON with sorted
+ * object keys.
+ *
+ * @param {Mixed} value Value
+ * @return {String}
+ */
+function canonical(value) {
+    return JSON.stringify(value, (key, value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = value[key];
+            return sorted;
+        }, {});
+    });
+}
+
+function omit(payload, field) {
+    const copy = Object.assign({}, payload);
+    delete copy[field];
+    return copy;
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest('base64');
+}
+
+function safeEqual(a, b) {
+    a = Buffer.from(String(a));
+    b = Buffer.from(String(b));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function privateKeyOf(key) {
+    return key && key.privateKey ? key.privateKey : key;
+}
+
+function publicKeyOf(key) {
+    return key && key.publicKey ? key.publicKey : key;
+}
+
+function toKey(key) {
+    return Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+}
+
+function isObject(payload) {
+    return !!payload && typeof payload === 'object' && !Buffer.isBuffer(payload);
+}
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.canonical = canonical;
@@ -0,0 +1,169 @@
+'use strict';
+const match = require('mqtt-match');
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+    /**
+     * Topic filters of retained state topics,
+     * e.g. device shadows.
+     */
+    topics: [],
+    /**
+     * Topic filters of topics that are not
+     * retained but we want to keep the last
+     * message we saw.
+     */
+    lastSeen: [],
+    /**
+     * Max number of topics we keep, the least
+     * recently updated are removed first.
+     */
+    maxSize: 10000,
+    /**
+     * Payload fields ignored when comparing
+     * values, e.g. the `uuid` and `timestamp`
+     * added by our transforms. Values are
+     * stored as is.
+     */
+    omit: [],
+};
+
+/**
+ * Create a cache for the last known value
+ * of a set of topics.
+ *
+ * Events:
+ * - `change`: A value changed. Payload `{ topic, previous, value, retained }`
+ *
+ * @param {Object} options Configuration object
+ * @param {Array} [options.topics] Retained topic filters
+ * @param {Array} [options.lastSeen] Last seen topic filters
+ * @param {Number} [options.maxSize=10000] Max number of topics
+ * @param {Array} [options.omit] Payload fields ignored when comparing
+ * @return {EventEmitter} cache
+ */
+module.exports = function $createStateCache(options = {}) {
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    const cache = new EventEmitter();
+
+    cache.options = options;
+    cache.entries = new Map();
+
+    /**
+     * Topic filters we mirror.
+     *
+     * @return {Array}
+     */
+    cache.filters = function() {
+        return [].concat(options.topics || [], options.lastSeen || []);
+    };
+
+    /**
+     * Update the value of a topic, an
+     * `undefined` value removes it.
+     *
+     * @param {String} topic MQTT topic
+     * @param {Mixed} value Payload
+     * @param {Object} [meta] Message metadata
+     * @param {Boolean} [meta.retain] True for retained messages
+     * @return {Boolean} True if the value changed
+     */
+    cache.set = function(topic, value, meta = {}) {
+        const entry = cache.entries.get(topic);
+        const previous = entry ? entry.value : undefined;
+
+        if (value === undefined && !entry) return false;
+
+        /*
+         * Keep the latest value, but it is only
+         * a change if it differs in more than
+         * the omitted fields.
+         */
+        if (entry && isEqual(omit(previous, options.omit), omit(value, options.omit))) {
+            entry.value = value;
+            entry.updated = Date.now();
+            return false;
+        }
+
+        cache.entries.delete(topic);
+
+        if (value !== undefined) {
+            cache.entries.set(topic, {
+                value,
+                retained: !!meta.retain,
+                updated: Date.now()
+            });
+            cache._evict();
+        }
+
+        cache.emit('change', {
+            topic,
+            previous,
+            value,
+            retained: !!meta.retain
+        });
+
+        return true;
+    };
+
+    /**
+     * Get the last known value of a topic.
+     *
+     * @param {String} topic MQTT topic
+     * @return {Mixed}
+     */
+    cache.get = function(topic) {
+        const entry = cache.entries.get(topic);
+        return entry ? entry.value : undefined;
+    };
+
+    /**
+     * Get the values of all topics matching
+     * a topic filter.
+     *
+     * @param {String} filter Topic filter
+     * @return {Object} Map of topic to value
+     */
+    cache.query = function(filter) {
+        const result = {};
+        cache.entries.forEach((entry, topic) => {
+            if (match(filter, topic)) result[topic] = entry.value;
+        });
+        return result;
+    };
+
+    cache.clear = function() {
+        cache.entries.clear();
+    };
+
+    cache._evict = function() {
+        if (!options.maxSize) return;
+        while (cache.entries.size > options.maxSize) {
+            cache.entries.delete(cache.entries.keys().next().value);
+        }
+    };
+
+    return cache;
+};
+
+function omit(value, fields) {
+    if (!fields || !fields.length) return value;
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) return value;
+    const copy = Object.assign({}, value);
+    fields.forEach(field => delete copy[field]);
+    return copy;
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+    try {
+        return JSON.stringify(a) === JSON.stringify(b);
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,175 @@
+'use strict';
+const { Readable } = require('stream');
+
+const DEFAULTS = {
+    /**
+     * Max number of messages we buffer while
+     * the consumer is busy.
+     */
+    highWaterMark: 16,
+    /**
+     * What to do when the buffer is full:
+     * - `drop-oldest`: Remove the oldest buffered message
+     * - `drop-newest`: Discard the incoming message
+     * - `error`: Stop the stream with a `STREAM_OVERFLOW` error
+     */
+    overflow: 'drop-oldest',
+    /**
+     * Return a Node.js Readable in object mode
+     * instead of an async iterable.
+     */
+    readable: false,
+    /**
+     * Shared subscription group.
+     */
+    group: undefined,
+};
+
+const OVERFLOW = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * Create a stream of the messages of a topic
+ * filter.
+ *
+ * We add a regular topic handler, so messages
+ * go through the same matching and inbound
+ * pipeline as other handlers. Items are
+ * `{ topic, payload, packet }`.
+ *
+ * The stream unsubscribes once the consumer
+ * stops iterating, e.g. on `break`, or when
+ * the pubsub instance is closed.
+ *
+ * @param {PubSub} pubsub PubSub instance
+ * @param {String} filter Topic filter
+ * @param {Object} [options] Options
+ * @param {Number} [options.highWaterMark=16] Max buffered messages
+ * @param {String} [options.overflow=drop-oldest] Policy when the buffer is full
+ * @param {Boolean} [options.readable=false] Return a Readable in object mode
+ * @param {String} [options.group] Shared subscription group
+ * @return {AsyncIterable|Readable}
+ */
+module.exports = function $createStream(pubsub, filter, options = {}) {
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    if (OVERFLOW.indexOf(options.overflow) === -1) {
+        throw new TypeError(`Unknown stream overflow policy "${options.overflow}"`);
+    }
+
+    const buffer = [];
+    let waiting;
+    let done = false;
+    let failure;
+
+    const handler = function $streamHandler(topic, payload, meta = {}) {
+        if (done) return;
+
+        const item = { topic, payload, packet: meta.packet };
+
+        if (waiting) {
+            const { resolve } = waiting;
+            waiting = undefined;
+            return resolve({ value: item, done: false });
+        }
+
+        if (options.highWaterMark && buffer.length >= options.highWaterMark) {
+            if (options.overflow === 'error') {
+                failure = createError(filter, buffer.length);
+                return stop();
+            }
+
+            pubsub.emit('stream.dropped', {
+                filter,
+                topic: options.overflow === 'drop-newest' ? topic : buffer[0].topic,
+                size: buffer.length
+            });
+
+            if (options.overflow === 'drop-newest') return;
+
+            buffer.shift();
+        }
+
+        buffer.push(item);
+    };
+
+    const stop = function() {
+        if (done) return;
+        done = true;
+
+        pubsub.unsubscribe(filter, handler, { group: options.group });
+        pubsub.removeListener('close', stop);
+
+        if (!waiting) return;
+
+        const { resolve, reject } = waiting;
+        waiting = undefined;
+
+        if (failure) {
+            reject(failure);
+            failure = undefined;
+        } else {
+            resolve({ value: undefined, done: true });
+        }
+    };
+
+    const iterator = {
+        next() {
+            if (buffer.length) {
+                return Promise.resolve({ value: buffer.shift(), done: false });
+            }
+
+            if (failure) {
+                const error = failure;
+                failure = undefined;
+                return Promise.reject(error);
+            }
+
+            if (done) return Promise.resolve({ value: undefined, done: true });
+
+            return new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+            });
+        },
+        return() {
+            buffer.length = 0;
+            failure = undefined;
+            stop();
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+            return iterator;
+        },
+        /**
+         * Stop the stream, same as breaking
+         * out of the loop.
+         */
+        close() {
+            return iterator.return();
+        },
+        size() {
+            return buffer.length;
+        },
+    };
+
+    pubsub.subscribe(filter, handler, { group: options.group });
+    pubsub.once('close', stop);
+
+    if (!options.readable) return iterator;
+
+    return Readable.from(iterator, {
+        objectMode: true,
+        highWaterMark: options.highWaterMark || DEFAULTS.highWaterMark
+    });
+};
+
+function createError(filter, size) {
+    const error = new Error(`Stream buffer full for topic filter "${filter}"`);
+    error.code = 'STREAM_OVERFLOW';
+    error.filter = filter;
+    error.size = size;
+    return error;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.OVERFLOW = OVERFLOW;
@@ -0,0 +1,89 @@
+'use strict';
+const Keypath = require('gkeypath');
+
+const PLACEHOLDER = /\$\{([^}]+)\}/g;
+const SHARED = /^\$share\/([^/]+)\/(.+)$/;
+
+/**
+ * Resolve `${keypath}` placeholders in a topic
+ * template.
+ *
+ * Each keypath is looked up in the given sources
+ * in order, the first defined value wins.
+ * Placeholders we can't resolve are left as is
+ * and reported through `onMissing`.
+ *
+ * @param {String} template Topic template, e.g. `ww/${app.name}/service/up`
+ * @param {Array} sources List of objects to look up keypaths
+ * @param {Function} [onMissing] Called with `(keypath, template)`
+ * @return {String}
+ */
+module.exports.resolve = function $resolve(template, sources = [], onMissing = undefined) {
+    if (typeof template !== 'string' || template.indexOf('${') === -1) {
+        return template;
+    }
+
+    return template.replace(PLACEHOLDER, (placeholder, keypath) => {
+        keypath = keypath.trim();
+
+        for (let i = 0; i < sources.length; i++) {
+            const value = Keypath.get(sources[i], keypath);
+            if (value !== undefined && value !== null) return String(value);
+        }
+
+        if (onMissing) onMissing(keypath, template);
+
+        return placeholder;
+    });
+};
+
+/**
+ * Create helpers to add and remove a namespace
+ * prefix from topics.
+ *
+ * @param {String} [namespace] Namespace, e.g. `tenant-a/production`
+ * @return {Object} Object with `apply` and `strip` functions
+ */
+module.exports.createNamespace = function $createNamespace(namespace) {
+    const prefix = namespace ? `${namespace.replace(/\/+$/, '')}/` : '';
+
+    return {
+        prefix,
+        apply(topic) {
+            if (!prefix || typeof topic !== 'string') return topic;
+            const { filter, group } = module.exports.parse(topic);
+            return module.exports.share(prefix + filter, group);
+        },
+        strip(topic) {
+            if (!prefix || typeof topic !== 'string') return topic;
+            if (topic.indexOf(prefix) !== 0) return topic;
+            return topic.slice(prefix.length);
+        }
+    };
+};
+
+/**
+ * Parse a subscription topic, shared
+ * subscriptions have the format
+ * `$share/<group>/<filter>`.
+ *
+ * @param {String} topic Subscription topic
+ * @return {Object} Object with `filter` and `group`
+ */
+module.exports.parse = function $parse(topic) {
+    const parts = SHARED.exec(topic);
+    if (!parts) return { filter: topic, group: undefined };
+    return { filter: parts[2], group: parts[1] };
+};
+
+/**
+ * Build a shared subscription topic.
+ *
+ * @param {String} filter Topic filter
+ * @param {String} [group] Share group name
+ * @return {String}
+ */
+module.exports.share = function $share(filter, group) {
+    if (!group) return filter;
+    return `$share/${group}/${filter}`;
+};
@@ -0,0 +1,218 @@
+'use strict';
+const crypto = require('crypto');
+
+let AsyncLocalStorage;
+try {
+    AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+} catch (e) {
+    /*
+     * Older Node.js versions do not have it,
+     * we can't propagate context implicitly.
+     */
+}
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const DEFAULTS = {
+    traceparentKey: 'traceparent',
+    tracestateKey: 'tracestate',
+    /**
+     * Adapter for the tracer used by the app:
+     * - startSpan(name, { kind, topic, parent }): Returns a span.
+     *   If the span has a `traceContext` with `traceId` and `spanId`
+     *   we use those IDs.
+     * - endSpan(span, error): Called once the span is done.
+     * - getCurrent(): Returns the active trace context if we have
+     *   none, e.g. the span of the HTTP request being handled.
+     */
+    tracer: undefined,
+};
+
+/**
+ * Create a tracing helper to propagate W3C
+ * trace context across messages.
+ *
+ * A trace context is an object with:
+ * - traceId: 32 hex characters
+ * - spanId: 16 hex characters
+ * - parentSpanId: Span that caused this one
+ * - traceFlags: 2 hex characters
+ * - tracestate: Vendor specific state
+ *
+ * @see https://www.w3.org/TR/trace-context/
+ * @param {Object} options Configuration object
+ * @return {Object} tracing
+ */
+module.exports = function $createTracing(options = {}) {
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    const storage = AsyncLocalStorage ? new AsyncLocalStorage() : undefined;
+    const tracer = options.tracer;
+
+    const tracing = { options };
+
+    /**
+     * Get the active trace context.
+     *
+     * @return {Object|undefined}
+     */
+    tracing.current = function() {
+        const active = storage ? storage.getStore() : undefined;
+        if (active) return active;
+        if (tracer && typeof tracer.getCurrent === 'function') {
+            return tracer.getCurrent();
+        }
+    };
+
+    /**
+     * Run a function with the given active
+     * trace context.
+     *
+     * @param {Object} traceContext Trace context
+     * @param {Function} fn Function
+     * @return {Mixed} Function's return value
+     */
+    tracing.run = function(traceContext, fn) {
+        if (!storage || !traceContext) return fn();
+        return storage.run(traceContext, fn);
+    };
+
+    /**
+     * Create a child of the given trace context,
+     * or a new root context.
+     *
+     * @param {Object} [parent] Parent trace context
+     * @return {Object}
+     */
+    tracing.child = function(parent) {
+        if (!parent || !parent.traceId) {
+            return {
+                traceId: randomHex(16),
+                spanId: randomHex(8),
+                traceFlags: '01',
+            };
+        }
+
+        return {
+            traceId: parent.traceId,
+            spanId: randomHex(8),
+            parentSpanId: parent.spanId,
+            traceFlags: parent.traceFlags || '01',
+            tracestate: parent.tracestate,
+        };
+    };
+
+    /**
+     * Start a span using our tracer adapter.
+     * The returned trace context uses the span's
+     * IDs if the tracer provides them.
+     *
+     * @param {String} name Span name
+     * @param {Object} spanOptions Options with `kind`, `topic`, `parent`
+     * @return {Object} Object with `span` and `traceContext`
+     */
+    tracing.startSpan = function(name, spanOptions = {}) {
+        let traceContext = tracing.child(spanOptions.parent);
+
+        if (!tracer || typeof tracer.startSpan !== 'function') {
+            return { traceContext };
+        }
+
+        const span = tracer.startSpan(name, spanOptions);
+
+        if (span && span.traceContext && span.traceContext.traceId) {
+            traceContext = Object.assign({}, traceContext, span.traceContext);
+        }
+
+        return { span, traceContext };
+    };
+
+    tracing.endSpan = function(span, error) {
+        if (!span || !tracer || typeof tracer.endSpan !== 'function') return;
+        tracer.endSpan(span, error);
+    };
+
+    /**
+     * Add trace headers for a new outbound
+     * message to the carrier object.
+     *
+     * @param {Object} carrier Payload or user properties
+     * @param {String} [topic] MQTT topic
+     * @return {Object} carrier
+     */
+    tracing.inject = function(carrier, topic) {
+        if (carrier[options.traceparentKey]) return carrier;
+
+        const { span, traceContext } = tracing.startSpan(`publish ${topic || ''}`.trim(), {
+            kind: 'producer',
+            topic,
+            parent: tracing.current()
+        });
+
+        carrier[options.traceparentKey] = module.exports.format(traceContext);
+
+        if (traceContext.tracestate) {
+            carrier[options.tracestateKey] = traceContext.tracestate;
+        }
+
+        tracing.endSpan(span);
+
+        return carrier;
+    };
+
+    /**
+     * Get the trace context from a carrier object.
+     *
+     * @param {Object} carrier Payload or user properties
+     * @return {Object|undefined}
+     */
+    tracing.extract = function(carrier) {
+        if (!carrier || typeof carrier !== 'object') return;
+
+        const traceContext = module.exports.parse(carrier[options.traceparentKey]);
+
+        if (traceContext && carrier[options.tracestateKey]) {
+            traceContext.tracestate = carrier[options.tracestateKey];
+        }
+
+        return traceContext;
+    };
+
+    return tracing;
+};
+
+/**
+ * Parse a `traceparent` header.
+ *
+ * @param {String} traceparent Header value
+ * @return {Object|undefined} Trace context
+ */
+module.exports.parse = function $parse(traceparent) {
+    if (typeof traceparent !== 'string') return;
+
+    const parts = TRACEPARENT.exec(traceparent.trim().toLowerCase());
+    if (!parts) return;
+
+    return {
+        traceId: parts[2],
+        spanId: parts[3],
+        traceFlags: parts[4],
+    };
+};
+
+/**
+ * Build a `traceparent` header.
+ *
+ * @param {Object} traceContext Trace context
+ * @return {String}
+ */
+module.exports.format = function $format(traceContext) {
+    return `00-${traceContext.traceId}-${traceContext.spanId}-${traceContext.traceFlags || '01'}`;
+};
+
+module.exports.DEFAULTS = DEFAULTS;
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Encryption transform, replaces object payloads
+ * with an AES-GCM encrypted envelope:
+ *
+ * ```js
+ * { encrypted: { alg, kid, iv, tag, data } }
+ * ```
+ *
+ * The envelope carries the key ID so receivers
+ * can decrypt messages while keys are rotated.
+ *
+ * This transform is only added if the
+ * `security.encryption` configuration option
+ * is set.
+ *
+ * @param {Object} config
+ * @param {Object} [config.security]
+ */
+module.exports = function $init(config) {
+    if (!config.security || !config.security.encryption) return false;
+
+    return function $transform(data, pubsub) {
+        if (!pubsub || !pubsub.security) return data;
+        if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) return data;
+        return pubsub.security.encrypt(data);
+    };
+};
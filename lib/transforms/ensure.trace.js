@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Trace transform to propagate W3C trace
+ * context on outbound payloads.
+ *
+ * Adds `traceparent` and `tracestate` fields
+ * to object payloads. If there is an active
+ * trace context, e.g. we are publishing from a
+ * topic handler, the new span is its child.
+ *
+ * MQTT v5 clients send the trace context as
+ * user properties instead.
+ *
+ * This transform is only added if the
+ * `tracing` configuration option is set.
+ *
+ * @param {Object} config
+ * @param {Object} [config.tracing]
+ */
+module.exports = function $init(config) {
+    if (!config.tracing) return false;
+
+    return function $transform(data, pubsub, message = {}) {
+        if (!pubsub || !pubsub.tracing || pubsub.isV5()) return data;
+        if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) return data;
+        return pubsub.tracing.inject(data, message.topic);
+    };
+};
@@ -36,6 +36,11 @@ module.exports = function $init(config) {
     const { fieldName, getId } = options;
 
     return function $transform(data) {
+        /*
+         * Only stamp object payloads, binary and
+         * string payloads are left untouched.
+         */
+        if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) return data;
         if (!data[fieldName]) data[fieldName] = getId();
         return data;
     };
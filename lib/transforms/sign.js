@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Signing transform to let receivers verify
+ * who published a message.
+ *
+ * Adds a `signature` field with the algorithm,
+ * key ID, time and signature of the payload.
+ * The signature also covers the topic and the
+ * MQTT v5 response properties. Only object
+ * payloads are signed.
+ *
+ * Signing should be the last transform, any
+ * change made to the payload after this one
+ * invalidates the signature.
+ *
+ * This transform is only added if the
+ * `security.signing` configuration option
+ * is set.
+ *
+ * @param {Object} config
+ * @param {Object} [config.security]
+ */
+module.exports = function $init(config) {
+    if (!config.security || !config.security.signing) return false;
+
+    return function $transform(data, pubsub, message = {}) {
+        if (!pubsub || !pubsub.security) return data;
+        if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) return data;
+        return pubsub._sign(data, message.topic, message.options);
+    };
+};
@@ -0,0 +1,104 @@
+'use strict';
+const Ajv = require('ajv');
+const match = require('mqtt-match');
+
+/**
+ * Create a JSON Schema validator registry.
+ *
+ * Schemas are registered per topic filter and
+ * direction, `inbound` or `outbound`. A topic
+ * is validated against all matching schemas.
+ *
+ * @param {Object} options Configuration object
+ * @param {Object} [options.inbound] Map of topic filter to schema
+ * @param {Object} [options.outbound] Map of topic filter to schema
+ * @param {Object} [options.ajv] Options passed to Ajv
+ * @return {Object} Validator registry
+ */
+module.exports = function $createValidator(options = {}) {
+
+    const ajv = new Ajv(Object.assign({ allErrors: true }, options.ajv));
+
+    const validator = {
+        inbound: [],
+        outbound: []
+    };
+
+    /**
+     * Register a schema for a topic filter.
+     *
+     * @param {String} filter MQTT topic filter
+     * @param {Object} schema JSON Schema
+     * @param {String} [direction=both] `inbound`, `outbound` or `both`
+     * @return {Object} validator
+     */
+    validator.add = function(filter, schema, direction = 'both') {
+        const validate = ajv.compile(schema);
+
+        if (direction === 'both') direction = ['inbound', 'outbound'];
+
+        [].concat(direction).forEach(direction => {
+            if (!validator[direction]) {
+                throw new TypeError(`Unknown schema direction "${direction}"`);
+            }
+            validator[direction].push({ filter, validate });
+        });
+
+        return validator;
+    };
+
+    /**
+     * Validate a payload for the given topic.
+     *
+     * @param {String} direction `inbound` or `outbound`
+     * @param {String} topic MQTT topic
+     * @param {Mixed} payload Decoded payload
+     * @return {Array|null} List of errors or null if valid
+     */
+    validator.validate = function(direction, topic, payload) {
+        let errors = [];
+
+        validator[direction].forEach(item => {
+            if (!match(item.filter, topic)) return;
+            if (item.validate(payload)) return;
+            errors = errors.concat(item.validate.errors);
+        });
+
+        return errors.length ? errors : null;
+    };
+
+    /**
+     * Check if we have any schemas for a direction.
+     *
+     * @param {String} direction `inbound` or `outbound`
+     * @return {Boolean}
+     */
+    validator.has = function(direction) {
+        return validator[direction].length > 0;
+    };
+
+    ['inbound', 'outbound'].forEach(direction => {
+        const schemas = options[direction] || {};
+        Object.keys(schemas).forEach(filter => {
+            validator.add(filter, schemas[filter], direction);
+        });
+    });
+
+    return validator;
+};
+
+/**
+ * Create an error for an invalid payload.
+ *
+ * @param {String} topic MQTT topic
+ * @param {Array} errors Validation errors
+ * @param {String} direction `inbound` or `outbound`
+ * @return {Error}
+ */
+module.exports.createError = function $createError(topic, errors, direction) {
+    const error = new Error(`Invalid ${direction} payload for topic "${topic}"`);
+    error.code = 'INVALID_PAYLOAD';
+    error.topic = topic;
+    error.errors = errors;
+    return error;
+};
@@ -0,0 +1,66 @@
+'use strict';
+const test = require('tape');
+const createBackoff = require('../lib/backoff');
+const { create, ready, closeAll, createLoopbackBroker } = require('./helpers');
+
+function delays(backoff, count) {
+    const result = [];
+    for (let i = 0; i < count; i++) result.push(backoff.next());
+    return result;
+}
+
+test('exponential backoff multiplies the delay up to the max', t => {
+    const backoff = createBackoff({ initialDelay: 100, factor: 2, maxDelay: 500 });
+    t.deepEqual(delays(backoff, 5), [100, 200, 400, 500, 500], 'delays');
+    backoff.reset();
+    t.equal(backoff.next(), 100, 'reset starts over');
+    t.end();
+});
+
+test('linear backoff adds a step up to the max', t => {
+    const backoff = createBackoff({ strategy: 'linear', initialDelay: 100, step: 50, maxDelay: 220 });
+    t.deepEqual(delays(backoff, 4), [100, 150, 200, 220], 'delays');
+
+    const defaultStep = createBackoff({ strategy: 'linear', initialDelay: 100 });
+    t.deepEqual(delays(defaultStep, 3), [100, 200, 300], 'step defaults to the initial delay');
+    t.end();
+});
+
+test('decorrelated jitter stays between the initial and max delay', t => {
+    const backoff = createBackoff({ strategy: 'decorrelated-jitter', initialDelay: 100, maxDelay: 1000 });
+    delays(backoff, 50).forEach(delay => {
+        if (delay < 100 || delay > 1000) t.fail(`delay ${delay} out of range`);
+    });
+    t.pass('delays are in range');
+    t.end();
+});
+
+test('randomization factor adds up to the given ratio', t => {
+    const backoff = createBackoff({ initialDelay: 100, factor: 1, randomizationFactor: 0.5 });
+    delays(backoff, 20).forEach(delay => {
+        if (delay < 100 || delay > 150) t.fail(`delay ${delay} out of range`);
+    });
+    t.pass('delays are in range');
+    t.end();
+});
+
+test('unknown strategies throw', t => {
+    t.throws(_ => createBackoff({ strategy: 'random' }), TypeError);
+    t.end();
+});
+
+test('each client gets its own backoff', t => {
+    const broker = createLoopbackBroker();
+    const a = create(broker, { clientId: 'a', backoff: { initialDelay: 10 } });
+    const b = create(broker, { clientId: 'b', backoff: { initialDelay: 10 } });
+
+    Promise.all([ready(a), ready(b)])
+        .then(_ => {
+            t.notEqual(a.backoff, b.backoff, 'instances do not share a backoff');
+            a.backoff.next();
+            a.backoff.next();
+            t.equal(b.backoff.next(), 10, 'other client starts at the initial delay');
+            return closeAll(a, b);
+        })
+        .then(_ => t.end(), t.end);
+});
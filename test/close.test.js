@@ -0,0 +1,30 @@
+'use strict';
+const test = require('tape');
+const { create, ready, createLoopbackBroker } = require('./helpers');
+
+test('close rejects pending requests and stops publishing', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+
+    ready(pubsub)
+        .then(_ => {
+            const pending = pubsub.request('svc/slow', {}, { timeoutResponseAfter: 5000 });
+            return Promise.all([
+                pending.then(_ => undefined, error => error),
+                pubsub.close()
+            ]);
+        })
+        .then(([error]) => {
+            t.equal(error && error.message, 'PubSub closed', 'pending request is rejected');
+            t.ok(pubsub.closed, 'instance is closed');
+            t.equal(pubsub.online, false, 'instance is offline');
+            t.ok(pubsub.client.disconnecting || !pubsub.client.connected, 'client is disconnected');
+
+            return new Promise(resolve => pubsub.publish('x/y', {}, undefined, resolve));
+        })
+        .then(error => {
+            t.equal(error && error.message, 'PubSub closed', 'publish after close fails');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
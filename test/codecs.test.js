@@ -0,0 +1,78 @@
+'use strict';
+const test = require('tape');
+const createCodecs = require('../lib/codecs');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('json codec encodes strings and passes buffers through', t => {
+    const codecs = createCodecs();
+
+    t.equal(codecs.encode('a/b', 'hello'), '"hello"', 'strings are JSON encoded');
+    t.equal(codecs.encode('a/b', { a: 1 }), '{"a":1}', 'objects are JSON encoded');
+
+    const buffer = Buffer.from('raw');
+    t.equal(codecs.encode('a/b', buffer), buffer, 'buffers are sent as is');
+    t.deepEqual(codecs.decode('a/b', Buffer.from('{"a":1}')), { a: 1 }, 'decodes JSON');
+    t.end();
+});
+
+test('codecs are selected by topic filter', t => {
+    const codecs = createCodecs({ codecs: { 'sensors/+/raw': 'raw' } });
+
+    codecs.add('csv', {
+        encode: data => data.join(','),
+        decode: buffer => buffer.toString().split(',')
+    });
+    codecs.use('reports/#', 'csv');
+
+    t.equal(codecs.resolve('sensors/s1/raw'), codecs.get('raw'), 'filter codec');
+    t.equal(codecs.resolve('sensors/s1/temp'), codecs.get('json'), 'default codec');
+    t.equal(codecs.encode('reports/daily', [1, 2]), '1,2', 'custom codec encodes');
+    t.deepEqual(codecs.decode('reports/daily', Buffer.from('1,2')), ['1', '2'], 'custom codec decodes');
+    t.throws(_ => codecs.get('nope'), /Unknown codec/, 'unknown codecs throw');
+    t.throws(_ => codecs.add('bad', {}), TypeError, 'codecs need encode and decode');
+    t.end();
+});
+
+test('string payloads arrive as strings', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', deadLetter: true });
+    const received = [];
+    const malformed = [];
+
+    pubsub.subscribe('greetings', (topic, payload) => received.push(payload));
+    pubsub.on('message.malformed', e => malformed.push(e.topic));
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('greetings', 'hello');
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, ['hello'], 'string is dispatched');
+            t.deepEqual(malformed, [], 'string is not malformed');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('topics can use the raw codec', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', codecs: { 'files/#': 'raw' } });
+    const received = [];
+
+    pubsub.subscribe('files/#', (topic, payload) => received.push(payload));
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('files/a', Buffer.from([1, 2, 3]));
+            pubsub.fastPublish('files/b', 'not json{');
+            return wait(20);
+        })
+        .then(_ => {
+            t.ok(Buffer.isBuffer(received[0]), 'handler gets a Buffer');
+            t.deepEqual(Array.from(received[0]), [1, 2, 3], 'bytes are kept');
+            t.equal(received[1].toString(), 'not json{', 'fastPublish sends strings as is');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
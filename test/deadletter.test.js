@@ -0,0 +1,103 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('replayed dead letters are not dropped by dedupe', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, {
+        clientId: 'a',
+        dedupe: true,
+        deadLetter: { retries: 0, consume: true, topics: { 'orders/#': {} } },
+    });
+    let fail = true;
+    const handled = [];
+
+    pubsub.subscribe('orders/new', (topic, payload) => {
+        if (fail) throw new Error('db down');
+        handled.push(payload.id);
+    });
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('orders/new', { id: 1 });
+            return wait(50);
+        })
+        .then(_ => {
+            t.equal(pubsub.deadLetters.list('orders/#').length, 1, 'message is dead lettered');
+            fail = false;
+            t.equal(pubsub.deadLetters.replay('orders/#'), 1, 'dead letter is replayed');
+            return wait(30);
+        })
+        .then(_ => {
+            t.deepEqual(handled, [1], 'replay reaches the handler');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('replayed dead letters keep their QoS and retain flag', t => {
+    const broker = createLoopbackBroker();
+    const publisher = create(broker, { clientId: 'publisher' });
+    const pubsub = create(broker, {
+        clientId: 'a',
+        deadLetter: { retries: 0, consume: true, topics: { 'devices/#': {} } },
+    });
+    const sent = [];
+    let fail = true;
+
+    ready(publisher)
+        .then(_ => publisher.publishAsync('devices/d1/shadow', { on: true }, { qos: 1, retain: true }))
+        .then(_ => ready(pubsub))
+        .then(_ => {
+            pubsub.subscribe('devices/+/shadow', _ => {
+                if (fail) throw new Error('db down');
+            });
+            return wait(50);
+        })
+        .then(_ => {
+            const deadLetter = pubsub.deadLetters.list('devices/#')[0];
+            t.equal(deadLetter.qos, 1, 'dead letter has the QoS');
+            t.equal(deadLetter.retain, true, 'dead letter has the retain flag');
+
+            const publish = pubsub.client.publish;
+            pubsub.client.publish = function(topic, data, options) {
+                sent.push([topic, options]);
+                return publish.apply(this, arguments);
+            };
+
+            fail = false;
+            pubsub.deadLetters.replay(deadLetter.id);
+            return wait(30);
+        })
+        .then(_ => {
+            t.deepEqual(sent, [['devices/d1/shadow', { qos: 1, retain: true }]], 'replay uses the original QoS and retain flag');
+            return Promise.all([publisher.close(), pubsub.close()]);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('malformed messages are dead lettered', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, {
+        clientId: 'a',
+        deadLetter: { consume: true, topics: { 'orders/#': {} } },
+    });
+    const handled = [];
+
+    pubsub.subscribe('orders/new', (topic, payload) => handled.push(payload));
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.client.publish('orders/new', '{"id":');
+            return wait(50);
+        })
+        .then(_ => {
+            const deadLetter = pubsub.deadLetters.list('orders/#')[0];
+            t.deepEqual(handled, [], 'malformed message is not dispatched');
+            t.equal(deadLetter.reason, 'malformed', 'dead letter has the reason');
+            t.equal(Buffer.from(deadLetter.message, 'base64').toString(), '{"id":', 'dead letter has the original message');
+            t.equal(deadLetter.qos, 0, 'dead letter has the QoS');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
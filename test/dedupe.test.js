@@ -0,0 +1,71 @@
+'use strict';
+const test = require('tape');
+const sinon = require('sinon');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('dedupe drops messages with an ID we already saw', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', dedupe: true });
+    const handler = sinon.spy();
+    const duplicate = sinon.spy();
+
+    pubsub.subscribe('billing/charge', handler);
+    pubsub.on('message.duplicate', duplicate);
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('billing/charge', { uuid: 'u1', amount: 1 });
+            pubsub.publish('billing/charge', { uuid: 'u1', amount: 1 });
+            pubsub.publish('billing/charge', { uuid: 'u2', amount: 2 });
+            return wait(20);
+        })
+        .then(_ => {
+            t.equal(handler.callCount, 2, 'handler is called once per ID');
+            t.equal(duplicate.callCount, 1, 'duplicate is emitted');
+            t.equal(duplicate.firstCall.args[0].id, 'u1', 'duplicate has the message ID');
+            t.equal(pubsub.dedupe.duplicates, 1, 'duplicate is counted');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('dedupe lets a payload forwarded to another topic through', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', dedupe: true });
+    const forwarded = [];
+    const duplicate = sinon.spy();
+
+    pubsub.subscribe('orders/new', (topic, payload) => {
+        pubsub.publish('orders/audit', payload);
+    });
+    pubsub.subscribe('orders/audit', (topic, payload) => forwarded.push(payload.id));
+    pubsub.on('message.duplicate', duplicate);
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('orders/new', { id: 1 });
+            return wait(30);
+        })
+        .then(_ => {
+            t.deepEqual(forwarded, [1], 'forwarded payload is dispatched');
+            t.equal(duplicate.callCount, 0, 'forwarded payload is not a duplicate');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('dedupe does not drop a response that returns the request payload', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', dedupe: true });
+
+    pubsub.subscribe('svc/echo', (topic, payload) => payload);
+
+    ready(pubsub)
+        .then(_ => pubsub.request('svc/echo', { value: 7 }, { timeoutResponseAfter: 300 }))
+        .then(response => {
+            t.equal(response.value, 7, 'response is delivered');
+            t.equal(pubsub.dedupe.duplicates, 0, 'no duplicates');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
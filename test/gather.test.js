@@ -0,0 +1,81 @@
+'use strict';
+const test = require('tape');
+const { create, ready, closeAll, createLoopbackBroker } = require('./helpers');
+
+function setup(count) {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester' });
+    const responders = [];
+
+    for (let i = 0; i < count; i++) {
+        const responder = create(broker, { clientId: `r${i}` });
+        responder.subscribe('config/hash', _ => ({ hash: 'abc' }));
+        responders.push(responder);
+    }
+
+    const all = [requester].concat(responders);
+
+    return Promise.all(all.map(ready)).then(_ => ({ requester, all }));
+}
+
+test('gather collects the responses that arrive within the window', t => {
+    setup(3)
+        .then(({ requester, all }) => {
+            const start = Date.now();
+            return requester.gather('config/hash', {}, { windowMs: 50 }).then(responses => {
+                t.equal(responses.length, 3, 'one response per instance');
+                t.deepEqual(responses.map(r => r.responder).sort(), ['r0', 'r1', 'r2'], 'responders');
+                t.equal(responses[0].payload.hash, 'abc', 'response payload');
+                t.ok(Date.now() - start >= 45, 'waits for the window');
+                t.equal(requester._pendingRequests.size, 0, 'request is no longer pending');
+                return closeAll(...all);
+            });
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('gather resolves early once it has maxResponses', t => {
+    setup(3)
+        .then(({ requester, all }) => {
+            const start = Date.now();
+            return requester.gather('config/hash', {}, { windowMs: 1000, maxResponses: 2 }).then(responses => {
+                t.equal(responses.length, 2, 'stops at maxResponses');
+                t.ok(Date.now() - start < 500, 'does not wait for the window');
+                return closeAll(...all);
+            });
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('gather rejects with fewer than minResponses', t => {
+    setup(1)
+        .then(({ requester, all }) => {
+            return requester.gather('config/hash', {}, { windowMs: 50, minResponses: 2 }).then(_ => {
+                t.fail('gather should reject');
+            }, error => {
+                t.equal(error.message, 'Not enough responses', 'error message');
+                t.equal(error.responses.length, 1, 'error has the responses we got');
+            }).then(_ => closeAll(...all));
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('gatherIterator yields responses as they arrive', t => {
+    setup(2)
+        .then(({ requester, all }) => {
+            const iterator = requester.gatherIterator('config/hash', {}, { windowMs: 50 });
+            const responders = [];
+
+            const next = _ => iterator.next().then(item => {
+                if (item.done) return;
+                responders.push(item.value.responder);
+                return next();
+            });
+
+            return next().then(_ => {
+                t.deepEqual(responders.sort(), ['r0', 'r1'], 'yields every response');
+                return closeAll(...all);
+            });
+        })
+        .then(_ => t.end(), t.end);
+});
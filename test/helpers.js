@@ -0,0 +1,47 @@
+'use strict';
+const { init, createLoopbackBroker } = require('..');
+
+/**
+ * Shared helpers for tests that run pubsub
+ * instances on top of the loopback broker.
+ */
+const logger = {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {},
+};
+
+const context = {
+    name: 'app',
+    getLogger: _ => logger,
+};
+
+function create(broker, config = {}) {
+    return init(context, Object.assign({
+        createClient: broker.createClient,
+    }, config));
+}
+
+function ready(pubsub) {
+    if (pubsub.online) return Promise.resolve(pubsub);
+    return new Promise(resolve => pubsub.once('ready', _ => resolve(pubsub)));
+}
+
+function wait(ms = 10) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function closeAll(...instances) {
+    return Promise.all(instances.map(pubsub => pubsub.close()));
+}
+
+module.exports = {
+    logger,
+    context,
+    create,
+    ready,
+    wait,
+    closeAll,
+    createLoopbackBroker,
+};
@@ -0,0 +1,129 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+function connect(broker, config = {}) {
+    const client = broker.createClient(config);
+    const messages = [];
+    client.on('message', (topic, payload, packet) => messages.push({
+        topic,
+        payload: payload.toString(),
+        retain: packet.retain
+    }));
+    return { client, messages };
+}
+
+test('loopback broker routes messages to wildcard subscriptions', t => {
+    const broker = createLoopbackBroker();
+    const { client, messages } = connect(broker, { clientId: 'a' });
+
+    client.subscribe('sensors/+/temp');
+
+    wait()
+        .then(_ => {
+            client.publish('sensors/s1/temp', '20');
+            client.publish('sensors/s1/humidity', '40');
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(messages.map(m => m.topic), ['sensors/s1/temp'], 'only matching topics are delivered');
+            broker.reset();
+            t.end();
+        }, t.end);
+});
+
+test('loopback broker delivers retained messages on subscribe', t => {
+    const broker = createLoopbackBroker();
+    const publisher = connect(broker, { clientId: 'a' });
+    const subscriber = connect(broker, { clientId: 'b' });
+
+    wait()
+        .then(_ => {
+            publisher.client.publish('state/x', 'on', { retain: true });
+            return wait();
+        })
+        .then(_ => {
+            subscriber.client.subscribe('state/#');
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(subscriber.messages, [{ topic: 'state/x', payload: 'on', retain: true }], 'retained message delivered');
+
+            publisher.client.publish('state/x', '', { retain: true });
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(Object.keys(broker.retained), [], 'empty payload clears retained message');
+            broker.reset();
+            t.end();
+        }, t.end);
+});
+
+test('loopback broker round robins shared subscriptions', t => {
+    const broker = createLoopbackBroker();
+    const first = connect(broker, { clientId: 'a' });
+    const second = connect(broker, { clientId: 'b' });
+
+    first.client.subscribe('$share/workers/jobs/#');
+    second.client.subscribe('$share/workers/jobs/#');
+
+    wait()
+        .then(_ => {
+            for (let i = 0; i < 4; i++) first.client.publish(`jobs/${i}`, String(i));
+            return wait();
+        })
+        .then(_ => {
+            t.equal(first.messages.length, 2, 'first member gets half');
+            t.equal(second.messages.length, 2, 'second member gets half');
+            broker.reset();
+            t.end();
+        }, t.end);
+});
+
+test('loopback clients queue while offline and send their LWT', t => {
+    const broker = createLoopbackBroker({ autoConnect: false });
+    const will = { topic: 'service/down', payload: 'gone' };
+    const watcher = connect(broker, { clientId: 'watcher' });
+    const worker = connect(broker, { clientId: 'worker', transport: { will } });
+
+    watcher.client.subscribe('#');
+    watcher.client.simulateConnect();
+
+    worker.client.publish('jobs/1', 'queued');
+    t.equal(worker.client.queue.length, 1, 'message queued while offline');
+
+    worker.client.simulateConnect();
+
+    wait()
+        .then(_ => {
+            t.deepEqual(watcher.messages.map(m => m.topic), ['jobs/1'], 'queue is sent on connect');
+            worker.client.simulateOffline();
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(watcher.messages.map(m => m.payload), ['queued', 'gone'], 'LWT is sent on ungraceful disconnect');
+            broker.reset();
+            t.end();
+        }, t.end);
+});
+
+test('pubsub instances reconnect on the loopback broker', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const events = [];
+
+    ready(pubsub)
+        .then(_ => {
+            ['offline', 'reconnect'].forEach(event => pubsub.on(event, _ => events.push(event)));
+            pubsub.client.simulateOffline();
+            t.equal(pubsub.online, false, 'offline after the connection drops');
+            pubsub.client.simulateReconnect();
+            return wait(20);
+        })
+        .then(_ => {
+            t.equal(pubsub.online, true, 'online after reconnecting');
+            t.deepEqual(events, ['offline', 'reconnect'], 'connection events are emitted');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,101 @@
+'use strict';
+const test = require('tape');
+const { toPrometheus } = require('..');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('metrics label responses with the inbox filter', t => {
+    const broker = createLoopbackBroker();
+    const metrics = { maxLabels: 3 };
+    const requester = create(broker, { clientId: 'requester', metrics });
+    const responder = create(broker, { clientId: 'responder', metrics });
+
+    responder.subscribe('svc/echo', (topic, payload) => ({ echo: payload.value }));
+
+    Promise.all([ready(requester), ready(responder)])
+        .then(_ => {
+            const requests = [];
+            for (let i = 0; i < 5; i++) requests.push(requester.request('svc/echo', { value: i }));
+            return Promise.all(requests);
+        })
+        .then(_ => {
+            const published = responder.getStats().messagesPublished.values;
+            const received = requester.getStats().messagesReceived.values;
+            const duration = requester.getStats().requestDuration.values;
+
+            t.deepEqual(published, { 'core$/pubsub/inbox/+/res/+': 5 }, 'responses are labeled by inbox filter');
+            t.deepEqual(received, { 'core$/pubsub/inbox/+/res/+': 5 }, 'received responses are labeled by inbox filter');
+            t.equal(duration['svc/echo'].count, 5, 'request duration is labeled by request topic');
+            t.equal(requester.getStats().requests.values['svc/echo'], 5, 'requests are counted');
+            return closeAll(requester, responder);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('metrics use __other__ after maxLabels topics', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', metrics: { maxLabels: 2 } });
+
+    ready(pubsub)
+        .then(_ => {
+            ['a', 'b', 'c', 'a'].forEach(topic => pubsub.publish(topic, {}));
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(pubsub.getStats().messagesPublished.values, {
+                a: 2,
+                b: 1,
+                __other__: 1
+            }, 'new topics are counted under __other__');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('metrics only count published messages once they are sent', t => {
+    const broker = createLoopbackBroker({ autoConnect: false });
+    const pubsub = create(broker, { clientId: 'a', outbox: true });
+
+    pubsub.publish('jobs/1', { id: 1 });
+    pubsub.fastPublish('jobs/2', { id: 2 });
+
+    wait()
+        .then(_ => {
+            t.deepEqual(pubsub.getStats().messagesPublished.values, {}, 'buffered messages are not counted');
+            pubsub.client.simulateConnect();
+            return wait();
+        })
+        .then(_ => {
+            t.deepEqual(pubsub.getStats().messagesPublished.values, {
+                'jobs/1': 1,
+                'jobs/2': 1
+            }, 'messages are counted when the outbox is flushed');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('metrics are rendered in the Prometheus text format', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', metrics: { buckets: [10, 100] } });
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('jobs/"1"', {});
+            pubsub.metrics.observe('requestDuration', 'svc/echo', 50);
+            return wait();
+        })
+        .then(_ => {
+            const lines = toPrometheus(pubsub.getStats(), { labels: { service: 'api' } }).split('\n');
+
+            t.ok(lines.indexOf('# TYPE pubsub_mqtt_messages_published_total counter') !== -1, 'counters use Prometheus names');
+            t.ok(lines.indexOf('pubsub_mqtt_messages_published_total{service="api",topic="jobs/\\"1\\""} 1') !== -1, 'labels are escaped');
+            t.ok(lines.indexOf('# TYPE pubsub_mqtt_request_duration_ms histogram') !== -1, 'histograms use Prometheus names');
+            t.ok(lines.indexOf('pubsub_mqtt_request_duration_ms_bucket{service="api",topic="svc/echo",le="10"} 0') !== -1, 'bucket below the value');
+            t.ok(lines.indexOf('pubsub_mqtt_request_duration_ms_bucket{service="api",topic="svc/echo",le="100"} 1') !== -1, 'bucket above the value');
+            t.ok(lines.indexOf('pubsub_mqtt_request_duration_ms_bucket{service="api",topic="svc/echo",le="+Inf"} 1') !== -1, '+Inf bucket');
+            t.ok(lines.indexOf('pubsub_mqtt_request_duration_ms_sum{service="api",topic="svc/echo"} 50') !== -1, 'histogram sum');
+            t.ok(lines.indexOf('pubsub_mqtt_reconnects_total{service="api"} 0') === -1, 'empty metrics have no samples');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
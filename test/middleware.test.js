@@ -0,0 +1,80 @@
+'use strict';
+const test = require('tape');
+const compose = require('../lib/compose');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('compose runs middleware in order around the final step', t => {
+    const calls = [];
+    const step = name => (ctx, next) => {
+        calls.push(`${name}:before`);
+        return next().then(_ => calls.push(`${name}:after`));
+    };
+
+    compose([step('a'), step('b')])({}, _ => calls.push('final'))
+        .then(_ => {
+            t.deepEqual(calls, ['a:before', 'b:before', 'final', 'b:after', 'a:after'], 'onion order');
+            return compose([(ctx, next) => next().then(_ => next())])({}, _ => {});
+        })
+        .then(_ => t.fail('calling next twice should reject'), error => {
+            t.equal(error.message, 'next() called multiple times', 'next twice rejects');
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('custom middleware runs in the configured position', t => {
+    const broker = createLoopbackBroker();
+    const seen = [];
+    const inspect = (ctx, next) => {
+        seen.push(typeof ctx.payload);
+        return next();
+    };
+    const pubsub = create(broker, {
+        clientId: 'a',
+        inboundMiddleware: [inspect, 'decode', inspect, 'response', 'validate']
+    });
+    const received = [];
+
+    pubsub.subscribe('events/x', (topic, payload) => received.push(payload.value));
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('events/x', { value: 1 });
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(seen, ['undefined', 'object'], 'middleware before decode sees no payload');
+            t.deepEqual(received, [1], 'message is dispatched');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('middleware can stop a message and errors are emitted', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const received = [];
+    const errors = [];
+
+    pubsub.addInboundMiddleware((ctx, next) => {
+        if (ctx.payload.blocked) return;
+        if (ctx.payload.broken) throw new Error('broken');
+        return next();
+    });
+
+    pubsub.subscribe('events/#', (topic, payload) => received.push(topic));
+    pubsub.on('message.error', e => errors.push([e.topic, e.error.message]));
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('events/ok', {});
+            pubsub.publish('events/blocked', { blocked: true });
+            pubsub.publish('events/broken', { broken: true });
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, ['events/ok'], 'stopped messages are not dispatched');
+            t.deepEqual(errors, [['events/broken', 'broken']], 'message.error is emitted');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,31 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('outbox buffers messages while offline and flushes them on connect', t => {
+    const broker = createLoopbackBroker({ autoConnect: false });
+    const consumer = create(broker, { clientId: 'consumer' });
+    const producer = create(broker, { clientId: 'producer', outbox: true });
+    const received = [];
+
+    consumer.subscribe('orders/#', (topic, payload) => received.push(payload.id));
+    consumer.client.simulateConnect();
+
+    ready(consumer)
+        .then(_ => {
+            producer.publish('orders/new', { id: 1 });
+            producer.publish('orders/new', { id: 2 });
+
+            t.equal(producer.outbox.size(), 2, 'messages are buffered');
+
+            producer.client.simulateConnect();
+            return ready(producer);
+        })
+        .then(_ => wait(20))
+        .then(_ => {
+            t.deepEqual(received, [1, 2], 'messages are delivered in order');
+            t.equal(producer.outbox.size(), 0, 'outbox is empty');
+            return closeAll(consumer, producer);
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,81 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test('ping reports round trip statistics', t => {
+    const broker = createLoopbackBroker();
+    const pinger = create(broker, { clientId: 'pinger' });
+    const target = create(broker, { clientId: 'target' });
+    const seqs = [];
+
+    target.addInboundMiddleware((ctx, next) => {
+        if (ctx.topic === 'core$/pubsub/ping/target') seqs.push(ctx.payload.seq);
+        return next();
+    });
+
+    Promise.all([ready(pinger), ready(target)])
+        .then(_ => pinger.ping('target', { count: 3, interval: 5 }))
+        .then(stats => {
+            t.equal(stats.client, 'target', 'stats have the client');
+            t.equal(stats.sent, 3, 'all pings are sent');
+            t.equal(stats.received, 3, 'all pongs are received');
+            t.equal(stats.loss, 0, 'no loss');
+            t.equal(stats.times.length, 3, 'stats have the round trip times');
+            t.ok(stats.min <= stats.avg && stats.avg <= stats.max, 'min, avg and max');
+            t.deepEqual(seqs, [0, 1, 2], 'pings are sent in sequence');
+            return closeAll(pinger, target);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('ping counts timed out pings as lost', t => {
+    const broker = createLoopbackBroker();
+    const pinger = create(broker, { clientId: 'pinger' });
+    const target = create(broker, { clientId: 'target', ping: false });
+
+    Promise.all([ready(pinger), ready(target)])
+        .then(_ => pinger.ping('target', { count: 2, interval: 0, timeout: 20 }))
+        .then(stats => {
+            t.equal(stats.received, 0, 'instances with ping disabled do not answer');
+            t.equal(stats.loss, 1, 'all pings are lost');
+            t.equal(stats.min, undefined, 'no min');
+            t.equal(stats.avg, undefined, 'no avg');
+            t.equal(stats.max, undefined, 'no max');
+            return closeAll(pinger, target);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('ping self check emits degraded and recovered', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, {
+        clientId: 'a',
+        ping: { selfCheck: { interval: 20, threshold: 30 } }
+    });
+    let slow = true;
+
+    pubsub.addInboundMiddleware((ctx, next) => {
+        if (ctx.topic !== 'core$/pubsub/ping/a' || !slow) return next();
+        return wait(50).then(next);
+    });
+
+    ready(pubsub)
+        .then(_ => once(pubsub, 'degraded'))
+        .then(e => {
+            t.equal(pubsub.degraded, true, 'instance is degraded');
+            t.ok(e.latency > 30, 'event has the latency');
+            t.equal(e.threshold, 30, 'event has the threshold');
+            slow = false;
+            return once(pubsub, 'recovered');
+        })
+        .then(e => {
+            t.equal(pubsub.degraded, false, 'instance recovered');
+            t.ok(e.latency <= 30, 'latency is under the threshold');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
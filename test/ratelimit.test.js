@@ -0,0 +1,131 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+function listen(pubsub, filter) {
+    const received = [];
+    pubsub.subscribe(filter, (topic, payload) => received.push(payload.i));
+    return received;
+}
+
+test('rate limit sends a burst and queues the rest', t => {
+    const broker = createLoopbackBroker();
+    const publisher = create(broker, { clientId: 'publisher', rateLimit: { rate: 50, burst: 2 } });
+    const subscriber = create(broker, { clientId: 'subscriber' });
+    const received = listen(subscriber, 'jobs/#');
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            for (let i = 0; i < 4; i++) publisher.publish('jobs/1', { i });
+            t.equal(publisher.rateLimiter.size(), 2, 'messages over the burst are queued');
+            return wait(10);
+        })
+        .then(_ => {
+            t.deepEqual(received, [0, 1], 'burst is sent right away');
+            return wait(60);
+        })
+        .then(_ => {
+            t.deepEqual(received, [0, 1, 2, 3], 'queued messages are sent in order');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rate limit reject policy throws', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, {
+        clientId: 'a',
+        rateLimit: { topics: { 'commands/#': { rate: 1, policy: 'reject' } } }
+    });
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('commands/reboot', {});
+            t.throws(_ => pubsub.publish('commands/reboot', {}), /Rate limit exceeded/, 'publish throws');
+            t.doesNotThrow(_ => pubsub.publish('events/booted', {}), 'other topics are not limited');
+            return pubsub.request('commands/reboot', {}).then(_ => {
+                t.fail('request should reject');
+            }, error => {
+                t.equal(error.code, 'RATE_LIMITED', 'request rejects with RATE_LIMITED');
+                t.equal(error.reason, 'rate', 'error has the reason');
+            });
+        })
+        .then(_ => closeAll(pubsub))
+        .then(_ => t.end(), t.end);
+});
+
+test('rate limit drop policies discard messages when the queue is full', t => {
+    const broker = createLoopbackBroker();
+    const publisher = create(broker, {
+        clientId: 'publisher',
+        rateLimit: {
+            topics: {
+                'oldest/#': { rate: 20, burst: 1, policy: 'drop-oldest', maxQueue: 1 },
+                'newest/#': { rate: 20, burst: 1, policy: 'drop-newest', maxQueue: 1 },
+            }
+        }
+    });
+    const subscriber = create(broker, { clientId: 'subscriber' });
+    const oldest = listen(subscriber, 'oldest/#');
+    const newest = listen(subscriber, 'newest/#');
+    const dropped = [];
+    const errors = [];
+
+    publisher.on('ratelimit.dropped', e => dropped.push([e.topic, e.reason]));
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            ['oldest/1', 'newest/1'].forEach(topic => [0, 1, 2].forEach(i => {
+                publisher.publishAsync(topic, { i }).catch(error => errors.push([topic, i, error.code]));
+            }));
+            return wait(100);
+        })
+        .then(_ => {
+            t.deepEqual(oldest, [0, 2], 'drop-oldest keeps the newest message');
+            t.deepEqual(newest, [0, 1], 'drop-newest keeps the queued message');
+            t.deepEqual(dropped, [['oldest/1', 'full'], ['newest/1', 'full']], 'dropped messages emit an event');
+            t.deepEqual(errors, [['oldest/1', 1, 'RATE_LIMITED'], ['newest/1', 2, 'RATE_LIMITED']], 'publishAsync rejects for dropped messages');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rate limit queue policy throws when the queue is full', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', rateLimit: { rate: 1, maxQueue: 1 } });
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.publish('jobs/1', {});
+            pubsub.publish('jobs/1', {});
+            t.throws(_ => pubsub.publish('jobs/1', {}), /Rate limit exceeded/, 'publish throws');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rate limit queues are sent on close', t => {
+    const broker = createLoopbackBroker();
+    const publisher = create(broker, { clientId: 'publisher', rateLimit: { rate: 1 } });
+    const subscriber = create(broker, { clientId: 'subscriber' });
+    const received = listen(subscriber, 'jobs/#');
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            for (let i = 0; i < 3; i++) publisher.publish('jobs/1', { i });
+            return publisher.close();
+        })
+        .then(_ => wait())
+        .then(_ => {
+            t.deepEqual(received, [0, 1, 2], 'queued messages are flushed');
+            return closeAll(subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rate limit rejects unknown policies', t => {
+    const broker = createLoopbackBroker();
+    t.throws(_ => create(broker, { rateLimit: { rate: 1, policy: 'ignore' } }), /Unknown rate limit policy/, 'init throws');
+    broker.reset();
+    t.end();
+});
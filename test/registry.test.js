@@ -0,0 +1,73 @@
+'use strict';
+const test = require('tape');
+const { createRegistryManager } = require('..');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('registry manager tracks instances that join, go stale and go down', t => {
+    const broker = createLoopbackBroker();
+    const monitor = create(broker, { clientId: 'monitor' });
+    const manager = createRegistryManager(monitor, {
+        registryStaleAfter: 60,
+        registryCheckInterval: 10
+    });
+    const events = [];
+
+    ['instance.up', 'instance.down', 'instance.stale'].forEach(event => {
+        manager.on(event, instance => events.push([event, instance.clientId]));
+    });
+
+    let worker;
+
+    ready(monitor)
+        .then(_ => wait(20))
+        .then(_ => {
+            worker = create(broker, { clientId: 'worker', metadata: { role: 'jobs' } });
+            return ready(worker);
+        })
+        .then(_ => wait(20))
+        .then(_ => {
+            const instance = manager.get('worker');
+            t.equal(instance && instance.status, 'up', 'worker is up');
+            t.equal(instance.metadata.role, 'jobs', 'worker metadata is kept');
+            return wait(100);
+        })
+        .then(_ => {
+            t.equal(manager.get('worker').status, 'stale', 'worker without beats is stale');
+            worker.client.simulateOffline();
+            return wait(20);
+        })
+        .then(_ => {
+            t.equal(manager.get('worker').status, 'down', 'LWT marks the worker as down');
+            t.deepEqual(events.filter(e => e[1] === 'worker'), [
+                ['instance.up', 'worker'],
+                ['instance.stale', 'worker'],
+                ['instance.down', 'worker']
+            ], 'events are emitted in order');
+            manager.stop();
+            return closeAll(monitor, worker);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('registry beats keep an instance up', t => {
+    const broker = createLoopbackBroker();
+    const monitor = create(broker, { clientId: 'monitor' });
+    const worker = create(broker, { clientId: 'worker', registryPingInterval: 10 });
+    const manager = createRegistryManager(monitor, {
+        registryStaleAfter: 60,
+        registryCheckInterval: 10
+    });
+    const stale = [];
+
+    manager.on('instance.stale', instance => stale.push(instance.clientId));
+
+    Promise.all([ready(monitor), ready(worker)])
+        .then(_ => wait(150))
+        .then(_ => {
+            t.equal(manager.get('worker').status, 'up', 'worker is still up');
+            t.equal(stale.indexOf('worker'), -1, 'worker did not go stale');
+            manager.stop();
+            return closeAll(monitor, worker);
+        })
+        .then(_ => t.end(), t.end);
+});
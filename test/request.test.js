@@ -0,0 +1,35 @@
+'use strict';
+const test = require('tape');
+const { create, ready, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('request gets the response of the handler through our inbox', t => {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester' });
+    const responder = create(broker, { clientId: 'responder' });
+
+    responder.subscribe('svc/echo', (topic, payload) => ({ echo: payload.value }));
+
+    Promise.all([ready(requester), ready(responder)])
+        .then(_ => requester.request('svc/echo', { value: 42 }, { timeoutResponseAfter: 500 }))
+        .then(response => {
+            t.equal(response.echo, 42, 'response has the handler result');
+            t.equal(response.responder, 'responder', 'response has the responder ID');
+            t.equal(requester._pendingRequests.size, 0, 'request is no longer pending');
+            return closeAll(requester, responder);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('request rejects if nobody responds', t => {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester' });
+
+    ready(requester)
+        .then(_ => requester.request('svc/nobody', {}, { timeoutResponseAfter: 50 }))
+        .then(_ => t.fail('request should time out'), error => {
+            t.ok(error, 'request rejected');
+            t.equal(requester._pendingRequests.size, 0, 'request is no longer pending');
+            return requester.close();
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,103 @@
+'use strict';
+const test = require('tape');
+const { create, ready, closeAll, createLoopbackBroker } = require('./helpers');
+
+class Billing {
+    constructor() {
+        this.rate = 2;
+    }
+
+    charge(accountId, amount) {
+        return Promise.resolve({ accountId, total: this._total(amount) });
+    }
+
+    fail() {
+        const error = new Error('Insufficient funds');
+        error.code = 'FUNDS';
+        throw error;
+    }
+
+    _total(amount) {
+        return amount * this.rate;
+    }
+}
+
+test('rpc calls exposed methods through a proxy', t => {
+    const broker = createLoopbackBroker();
+    const server = create(broker, { clientId: 'server' });
+    const caller = create(broker, { clientId: 'caller' });
+
+    server.expose('billing', new Billing(), { version: '1.4.0' });
+
+    const billing = caller.proxy('billing', { timeout: 200 });
+
+    Promise.all([ready(server), ready(caller)])
+        .then(_ => billing.charge('acc-1', 100))
+        .then(result => {
+            t.deepEqual(result, { accountId: 'acc-1', total: 200 }, 'methods are called with the instance as this');
+            return billing.fail().then(_ => t.fail('call should reject'), error => error);
+        })
+        .then(error => {
+            t.equal(error.message, 'Insufficient funds', 'error has the remote message');
+            t.equal(error.code, 'FUNDS', 'error has the remote code');
+            t.equal(error.remote, true, 'error is flagged as remote');
+            return billing._total(1).then(_ => t.fail('private call should reject'), error => error);
+        })
+        .then(error => {
+            t.equal(error.message, 'Timeout error', 'private methods are not exposed');
+            return closeAll(server, caller);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rpc describes and discovers services', t => {
+    const broker = createLoopbackBroker();
+    const server = create(broker, { clientId: 'server' });
+    const caller = create(broker, { clientId: 'caller' });
+
+    server.expose('billing', {
+        charge() {},
+        refund: { handler() {}, version: '2.0.0' }
+    }, { version: '1.4.0' });
+
+    t.equal(caller.proxy('billing').then, undefined, 'proxies do not look like promises');
+
+    Promise.all([ready(server), ready(caller)])
+        .then(_ => caller.discover('billing', { windowMs: 50 }))
+        .then(services => {
+            t.deepEqual(services, [{
+                service: 'billing',
+                version: '1.4.0',
+                client: 'server',
+                methods: {
+                    charge: { version: '1.4.0' },
+                    refund: { version: '2.0.0' }
+                }
+            }], 'discover lists the instances');
+
+            server.unexpose('billing');
+            t.equal(server.describe('billing'), undefined, 'unexposed services are not described');
+            return caller.discover('billing', { windowMs: 50 });
+        })
+        .then(services => {
+            t.deepEqual(services, [], 'unexposed services are not discovered');
+            return closeAll(server, caller);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('rpc proxies use per method timeouts', t => {
+    const broker = createLoopbackBroker();
+    const caller = create(broker, { clientId: 'caller' });
+    const billing = caller.proxy('billing', { timeout: 5000, timeouts: { charge: 20 } });
+    const start = Date.now();
+
+    ready(caller)
+        .then(_ => billing.charge('acc-1', 100))
+        .then(_ => t.fail('call should time out'), error => {
+            t.equal(error.message, 'Timeout error', 'call times out');
+            t.ok(Date.now() - start < 1000, 'method timeout is used');
+            return closeAll(caller);
+        })
+        .then(_ => t.end(), t.end);
+});
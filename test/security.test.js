@@ -0,0 +1,178 @@
+'use strict';
+const test = require('tape');
+const crypto = require('crypto');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('signed messages can not be replayed on another topic', t => {
+    const broker = createLoopbackBroker();
+    const security = {
+        signing: { keyId: 'k1' },
+        keys: { k1: 'secret' },
+        policy: { '#': 'require' },
+    };
+    const publisher = create(broker, { clientId: 'publisher', security });
+    const subscriber = create(broker, { clientId: 'subscriber', security });
+    const received = [];
+    const rejected = [];
+    let message;
+
+    subscriber.subscribe('doors/+/open', (topic, payload) => received.push(topic));
+    subscriber.on('message.rejected', e => rejected.push([e.topic, e.reason]));
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            const publish = publisher.client.publish;
+            publisher.client.publish = function(topic, data) {
+                if (topic === 'doors/front/open') message = data;
+                return publish.apply(this, arguments);
+            };
+            publisher.publish('doors/front/open', { by: 'alice' });
+            return wait(20);
+        })
+        .then(_ => {
+            publisher.client.publish('doors/back/open', message);
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, ['doors/front/open'], 'only the original message is dispatched');
+            t.deepEqual(rejected, [['doors/back/open', 'signature']], 'replay is rejected');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('encrypted payloads are decrypted before they reach handlers', t => {
+    const broker = createLoopbackBroker();
+    const key = crypto.randomBytes(32);
+    const security = {
+        encryption: { keyId: 'e1' },
+        keys: { e1: key },
+    };
+    const publisher = create(broker, { clientId: 'publisher', security });
+    const subscriber = create(broker, { clientId: 'subscriber', security });
+    const wire = [];
+
+    const received = new Promise(resolve => {
+        subscriber.subscribe('patients/1', (topic, payload) => resolve(payload));
+    });
+
+    subscriber.client.on('message', (topic, payload) => wire.push(JSON.parse(payload)));
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            publisher.publish('patients/1', { name: 'alice' });
+            return received;
+        })
+        .then(payload => {
+            const envelope = wire[0].encrypted;
+
+            t.equal(payload.name, 'alice', 'handler gets the decrypted payload');
+            t.equal(envelope.alg, 'aes-256-gcm', 'envelope has the algorithm');
+            t.equal(envelope.kid, 'e1', 'envelope has the key ID');
+            t.equal(JSON.stringify(wire[0]).indexOf('alice'), -1, 'plain text is not sent');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('encrypted payloads can be decrypted with rotated keys', t => {
+    const broker = createLoopbackBroker();
+    const keys = { e1: crypto.randomBytes(32), e2: crypto.randomBytes(32) };
+    const publisher = create(broker, {
+        clientId: 'publisher',
+        security: { encryption: { keyId: 'e2' }, keys: { e2: keys.e2 } }
+    });
+    const subscriber = create(broker, {
+        clientId: 'subscriber',
+        security: { encryption: { keyId: 'e1' }, keys },
+    });
+
+    const received = new Promise(resolve => {
+        subscriber.subscribe('patients/1', (topic, payload) => resolve(payload));
+    });
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            publisher.publish('patients/1', { name: 'alice' });
+            return received;
+        })
+        .then(payload => {
+            t.equal(payload.name, 'alice', 'envelope key ID is used to decrypt');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('tampered encrypted payloads are rejected', t => {
+    const broker = createLoopbackBroker();
+    const security = {
+        encryption: { keyId: 'e1' },
+        keys: { e1: crypto.randomBytes(32) },
+    };
+    const publisher = create(broker, { clientId: 'publisher', security });
+    const subscriber = create(broker, { clientId: 'subscriber', security });
+    const received = [];
+    const rejected = [];
+
+    subscriber.subscribe('patients/+', (topic, payload) => received.push(payload));
+    subscriber.on('message.rejected', e => rejected.push([e.topic, e.reason]));
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            const envelope = publisher.security.encrypt({ name: 'alice' }).encrypted;
+            const tampered = Object.assign({}, envelope, {
+                data: Buffer.from('{"name":"mallory"}').toString('base64')
+            });
+            const shortTag = Object.assign({}, envelope, {
+                tag: Buffer.from(envelope.tag, 'base64').slice(0, 4).toString('base64')
+            });
+            const algorithm = Object.assign({}, envelope, { alg: 'aes-128-cbc' });
+
+            publisher.client.publish('patients/1', JSON.stringify({ encrypted: tampered }));
+            publisher.client.publish('patients/2', JSON.stringify({ encrypted: shortTag }));
+            publisher.client.publish('patients/3', JSON.stringify({ encrypted: algorithm }));
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, [], 'tampered messages are not dispatched');
+            t.deepEqual(rejected, [
+                ['patients/1', 'decrypt'],
+                ['patients/2', 'decrypt'],
+                ['patients/3', 'decrypt'],
+            ], 'tampered messages are rejected');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('require policy rejects unsigned messages', t => {
+    const broker = createLoopbackBroker();
+    const subscriber = create(broker, {
+        clientId: 'subscriber',
+        security: {
+            signing: { keyId: 'k1' },
+            keys: { k1: 'secret' },
+            policy: { 'commands/#': 'require', '#': 'verify' },
+        }
+    });
+    const publisher = create(broker, { clientId: 'publisher' });
+    const received = [];
+    const rejected = [];
+
+    subscriber.subscribe('commands/+', (topic, payload) => received.push(topic));
+    subscriber.subscribe('events/+', (topic, payload) => received.push(topic));
+    subscriber.on('message.rejected', e => rejected.push([e.topic, e.reason]));
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            publisher.publish('commands/reboot', {});
+            publisher.publish('events/booted', {});
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, ['events/booted'], 'unsigned messages are accepted with verify');
+            t.deepEqual(rejected, [['commands/reboot', 'unsigned']], 'unsigned messages are rejected with require');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,56 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('shared subscriptions round robin between instances', t => {
+    const broker = createLoopbackBroker();
+    const first = create(broker, { clientId: 'first' });
+    const second = create(broker, { clientId: 'second' });
+    const received = { first: [], second: [] };
+
+    first.subscribe('jobs/#', (topic, payload, meta) => {
+        received.first.push(meta.group);
+    }, { group: 'workers' });
+
+    second.subscribe('jobs/#', (topic, payload, meta) => {
+        received.second.push(meta.group);
+    }, { group: 'workers' });
+
+    Promise.all([ready(first), ready(second)])
+        .then(_ => {
+            for (let i = 0; i < 4; i++) first.publish(`jobs/${i}`, { i });
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received.first, ['workers', 'workers'], 'first member gets half');
+            t.deepEqual(received.second, ['workers', 'workers'], 'second member gets half');
+            return closeAll(first, second);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+[4, 5].forEach(protocolVersion => {
+    test(`overlapping shared and non shared subscriptions run once per delivery (v${protocolVersion})`, t => {
+        const broker = createLoopbackBroker();
+        const first = create(broker, { clientId: 'first', protocolVersion });
+        const second = create(broker, { clientId: 'second', protocolVersion });
+        const calls = { plain: 0, first: 0, second: 0 };
+
+        first.subscribe('jobs/#', _ => calls.plain++);
+        first.subscribe('jobs/#', _ => calls.first++, { group: 'workers' });
+        second.subscribe('jobs/#', _ => calls.second++, { group: 'workers' });
+
+        Promise.all([ready(first), ready(second)])
+            .then(_ => {
+                for (let i = 0; i < 4; i++) second.publish(`jobs/${i}`, { i });
+                return wait(20);
+            })
+            .then(_ => {
+                t.equal(calls.plain, 4, 'non shared handler runs once per message');
+                t.equal(calls.first, 2, 'group handler runs for shared deliveries only');
+                t.equal(calls.second, 2, 'other member gets the rest');
+                return closeAll(first, second);
+            })
+            .then(_ => t.end(), t.end);
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+const test = require('tape');
+const sinon = require('sinon');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('state cache ignores omitted fields when comparing', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, {
+        clientId: 'a',
+        state: { topics: ['devices/+/shadow'], omit: ['uuid', 'timestamp'] }
+    });
+    const change = sinon.spy();
+
+    pubsub.on('state.change', change);
+
+    ready(pubsub)
+        .then(_ => wait(10))
+        .then(_ => pubsub.setState('devices/d1/shadow', { on: true }))
+        .then(_ => wait(20))
+        .then(_ => pubsub.setState('devices/d1/shadow', { on: true }))
+        .then(_ => wait(20))
+        .then(_ => {
+            const state = pubsub.getState('devices/d1/shadow');
+            t.equal(state.on, true, 'state has the value');
+            t.ok(state.uuid && state.timestamp, 'omitted fields are stored');
+            t.notEqual(state.uuid, change.firstCall.args[0].value.uuid, 'latest value is stored');
+            t.equal(change.callCount, 1, 'same state does not emit a change');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('state cache keeps payload fields by default', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', state: { topics: ['devices/+/shadow'] } });
+    const change = sinon.spy();
+
+    pubsub.on('state.change', change);
+
+    ready(pubsub)
+        .then(_ => wait(10))
+        .then(_ => pubsub.setState('devices/d1/shadow', { on: true, timestamp: 5 }))
+        .then(_ => wait(20))
+        .then(_ => pubsub.setState('devices/d1/shadow', { on: true, timestamp: 6 }))
+        .then(_ => wait(20))
+        .then(_ => {
+            const state = pubsub.getState('devices/d1/shadow');
+            t.equal(state.timestamp, 6, 'our own timestamp is kept');
+            t.ok(state.uuid, 'transform fields are kept');
+            t.equal(change.callCount, 2, 'a new timestamp is a change');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,128 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+function publishAll(pubsub, topic, count) {
+    for (let i = 0; i < count; i++) pubsub.publish(topic, { i });
+    return wait(20);
+}
+
+function take(stream, count, items = []) {
+    if (items.length === count) return Promise.resolve(items);
+    return stream.next().then(({ value }) => take(stream, count, items.concat(value.payload.i)));
+}
+
+test('stream yields messages in order and unsubscribes on close', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const stream = pubsub.stream('sensors/#');
+
+    ready(pubsub)
+        .then(_ => publishAll(pubsub, 'sensors/s1', 3))
+        .then(_ => {
+            t.equal(stream.size(), 3, 'messages are buffered');
+            return stream.next();
+        })
+        .then(({ value, done }) => {
+            t.equal(done, false, 'stream is not done');
+            t.equal(value.topic, 'sensors/s1', 'item has the topic');
+            t.equal(value.payload.i, 0, 'item has the payload');
+            t.ok(value.packet, 'item has the packet');
+            return take(stream, 2);
+        })
+        .then(items => {
+            t.deepEqual(items, [1, 2], 'messages are in order');
+            return stream.close();
+        })
+        .then(_ => {
+            t.equal(pubsub.client.subscriptions.indexOf('sensors/#'), -1, 'close unsubscribes');
+            return stream.next();
+        })
+        .then(({ done }) => {
+            t.equal(done, true, 'closed stream is done');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('stream overflow policies', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const oldest = pubsub.stream('oldest/#', { highWaterMark: 2 });
+    const newest = pubsub.stream('newest/#', { highWaterMark: 2, overflow: 'drop-newest' });
+    const failing = pubsub.stream('failing/#', { highWaterMark: 2, overflow: 'error' });
+    const dropped = [];
+
+    pubsub.on('stream.dropped', e => dropped.push([e.filter, e.size]));
+
+    ready(pubsub)
+        .then(_ => Promise.all([
+            publishAll(pubsub, 'oldest/1', 4),
+            publishAll(pubsub, 'newest/1', 4),
+            publishAll(pubsub, 'failing/1', 3),
+        ]))
+        .then(_ => Promise.all([take(oldest, 2), take(newest, 2), take(failing, 2)]))
+        .then(([fromOldest, fromNewest, fromFailing]) => {
+            t.deepEqual(fromOldest, [2, 3], 'drop-oldest keeps the newest messages');
+            t.deepEqual(fromNewest, [0, 1], 'drop-newest keeps the buffered messages');
+            t.deepEqual(fromFailing, [0, 1], 'error yields the buffered messages first');
+            t.deepEqual(dropped, [
+                ['oldest/#', 2], ['oldest/#', 2],
+                ['newest/#', 2], ['newest/#', 2],
+            ], 'dropped messages emit an event');
+            return failing.next().then(_ => t.fail('stream should throw'), error => error);
+        })
+        .then(error => {
+            t.equal(error.code, 'STREAM_OVERFLOW', 'overflow error');
+            t.equal(error.filter, 'failing/#', 'error has the filter');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('streams end when the pubsub instance is closed', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const stream = pubsub.stream('sensors/#');
+
+    ready(pubsub)
+        .then(_ => {
+            const pending = stream.next();
+            return closeAll(pubsub).then(_ => pending);
+        })
+        .then(({ done }) => {
+            t.equal(done, true, 'pending next resolves as done');
+            t.end();
+        }, t.end);
+});
+
+test('stream can return a Readable', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const readable = pubsub.stream('logs/#', { readable: true });
+    const items = [];
+
+    readable.on('data', item => items.push(item.payload.i));
+
+    ready(pubsub)
+        .then(_ => publishAll(pubsub, 'logs/app', 3))
+        .then(_ => {
+            t.deepEqual(items, [0, 1, 2], 'readable emits the messages');
+            readable.destroy();
+            return wait();
+        })
+        .then(_ => {
+            t.equal(pubsub.client.subscriptions.indexOf('logs/#'), -1, 'destroy unsubscribes');
+            return closeAll(pubsub);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('stream rejects unknown overflow policies', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+
+    t.throws(_ => pubsub.stream('logs/#', { overflow: 'block' }), /Unknown stream overflow policy/, 'stream throws');
+
+    closeAll(pubsub).then(_ => t.end(), t.end);
+});
@@ -0,0 +1,36 @@
+'use strict';
+const test = require('tape');
+const sinon = require('sinon');
+const { create, ready, wait, createLoopbackBroker } = require('./helpers');
+
+test('unsubscribe removes a handler and the broker subscription', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a' });
+    const first = sinon.spy();
+    const second = sinon.spy();
+
+    pubsub.subscribe('sensors/#', first);
+    pubsub.subscribe('sensors/#', second);
+
+    ready(pubsub)
+        .then(_ => {
+            pubsub.unsubscribe('sensors/#', second);
+            pubsub.publish('sensors/temp', { value: 1 });
+            return wait(20);
+        })
+        .then(_ => {
+            t.equal(first.callCount, 1, 'remaining handler is called');
+            t.equal(second.callCount, 0, 'removed handler is not called');
+            t.notEqual(pubsub.client.subscriptions.indexOf('sensors/#'), -1, 'still subscribed');
+
+            pubsub.unsubscribe('sensors/#', first);
+            pubsub.publish('sensors/temp', { value: 2 });
+            return wait(20);
+        })
+        .then(_ => {
+            t.equal(first.callCount, 1, 'handler is not called once removed');
+            t.equal(pubsub.client.subscriptions.indexOf('sensors/#'), -1, 'broker subscription removed');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
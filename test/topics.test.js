@@ -0,0 +1,80 @@
+'use strict';
+const test = require('tape');
+const Topics = require('../lib/topics');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('topic templates resolve keypaths from the sources in order', t => {
+    const missing = [];
+    const topic = Topics.resolve('ww/${app.name}/${env}/${nope}', [
+        { app: { name: 'billing' } },
+        { app: { name: 'ignored' }, env: 'prod' }
+    ], keypath => missing.push(keypath));
+
+    t.equal(topic, 'ww/billing/prod/${nope}', 'placeholders are resolved, unknown ones kept');
+    t.deepEqual(missing, ['nope'], 'missing keypaths are reported');
+    t.equal(Topics.resolve('plain/topic', []), 'plain/topic', 'topics without placeholders are kept');
+    t.end();
+});
+
+test('namespaces are added to and removed from topics', t => {
+    const namespace = Topics.createNamespace('tenant-a/');
+
+    t.equal(namespace.apply('orders/new'), 'tenant-a/orders/new', 'prefix is added');
+    t.equal(namespace.apply('$share/workers/jobs/#'), '$share/workers/tenant-a/jobs/#', 'shared filters keep the group first');
+    t.equal(namespace.strip('tenant-a/orders/new'), 'orders/new', 'prefix is removed');
+    t.equal(namespace.strip('other/orders/new'), 'other/orders/new', 'other topics are kept');
+    t.equal(Topics.createNamespace().apply('orders/new'), 'orders/new', 'no namespace, no prefix');
+    t.end();
+});
+
+test('instances only see messages of their namespace', t => {
+    const broker = createLoopbackBroker();
+    const a = create(broker, { clientId: 'a', namespace: 'tenant-a' });
+    const a2 = create(broker, { clientId: 'a2', namespace: 'tenant-a' });
+    const b = create(broker, { clientId: 'b', namespace: 'tenant-b' });
+    const received = [];
+
+    a2.subscribe('orders/#', (topic, payload) => received.push(['a2', topic, payload.id]));
+    b.subscribe('orders/#', (topic, payload) => received.push(['b', topic, payload.id]));
+    a2.subscribe('svc/echo', (topic, payload) => ({ echo: payload.value }));
+
+    Promise.all([a, a2, b].map(ready))
+        .then(_ => {
+            t.notEqual(a2.client.subscriptions.indexOf('tenant-a/orders/#'), -1, 'broker subscription has the namespace');
+            a.publish('orders/new', { id: 1 });
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, [['a2', 'orders/new', 1]], 'handlers see topics without namespace');
+            return a.request('svc/echo', { value: 2 }, { timeoutResponseAfter: 300 });
+        })
+        .then(response => {
+            t.equal(response.echo, 2, 'requests work within a namespace');
+            return closeAll(a, a2, b);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('handler topics are resolved from the context and configuration', t => {
+    const broker = createLoopbackBroker();
+    const received = [];
+    const pubsub = create(broker, {
+        clientId: 'a',
+        region: 'eu',
+        handlers: {
+            '${name}/${region}/commands/+': topic => received.push(topic)
+        }
+    });
+
+    ready(pubsub)
+        .then(_ => {
+            t.equal(pubsub.resolveTopic('${name}/${region}'), 'app/eu', 'resolveTopic uses context then config');
+            pubsub.publish('app/eu/commands/restart', {});
+            return wait(20);
+        })
+        .then(_ => {
+            t.deepEqual(received, ['app/eu/commands/restart'], 'handler template is resolved');
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
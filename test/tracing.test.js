@@ -0,0 +1,78 @@
+'use strict';
+const test = require('tape');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+function createTracer() {
+    const spans = [];
+    return {
+        spans,
+        startSpan(name, options) {
+            const span = { name, kind: options.kind, topic: options.topic, parent: options.parent };
+            spans.push(span);
+            return span;
+        },
+        endSpan(span, error) {
+            span.ended = true;
+            span.error = error;
+        },
+    };
+}
+
+[4, 5].forEach(protocolVersion => {
+    test(`tracing names spans by topic and handler filter (v${protocolVersion})`, t => {
+        const broker = createLoopbackBroker();
+        const tracer = createTracer();
+        const tracing = { tracer };
+        const requester = create(broker, { clientId: 'requester', protocolVersion, tracing });
+        const responder = create(broker, { clientId: 'responder', protocolVersion, tracing });
+
+        responder.subscribe('orders/+', (topic, payload, meta) => ({ traceId: meta.trace.traceId }));
+
+        Promise.all([ready(requester), ready(responder)])
+            .then(_ => requester.request('orders/1', { id: 1 }))
+            .then(response => wait().then(_ => response))
+            .then(response => {
+                const names = tracer.spans.map(span => span.name);
+                const request = tracer.spans[0];
+                const process = tracer.spans.find(span => span.name === 'process orders/+');
+
+                t.equal(request.name, 'publish orders/1', 'producer span is named after the topic');
+                t.equal(request.kind, 'producer', 'producer span kind');
+                t.equal(request.topic, 'orders/1', 'producer span has the topic');
+                t.ok(process, 'consumer span is named after the handler filter');
+                t.equal(process.topic, 'orders/1', 'consumer span has the topic');
+                t.ok(names.indexOf('process core$/pubsub/inbox/requester/res/+') !== -1, 'response span is named after the inbox filter');
+                t.ok(names.every(name => name.indexOf('undefined') === -1), 'all spans have a topic');
+                t.ok(tracer.spans.every(span => span.ended), 'all spans are ended');
+                t.ok(response.traceId, 'handler gets the trace context');
+                return closeAll(requester, responder);
+            })
+            .then(_ => t.end(), t.end);
+    });
+});
+
+test('tracing propagates trace context through payloads', t => {
+    const broker = createLoopbackBroker();
+    const tracing = { tracer: createTracer() };
+    const publisher = create(broker, { clientId: 'publisher', tracing });
+    const subscriber = create(broker, { clientId: 'subscriber', tracing });
+
+    const received = new Promise(resolve => {
+        subscriber.subscribe('orders/created', (topic, payload, meta) => resolve({ payload, meta }));
+    });
+
+    Promise.all([ready(publisher), ready(subscriber)])
+        .then(_ => {
+            publisher.publish('orders/created', { id: 1 });
+            return received;
+        })
+        .then(({ payload, meta }) => {
+            const traceId = payload.traceparent.split('-')[1];
+
+            t.ok(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/.test(payload.traceparent), 'payload has a traceparent');
+            t.equal(meta.trace.traceId, traceId, 'consumer span is in the same trace');
+            t.ok(meta.trace.parentSpanId, 'consumer span has a parent');
+            return closeAll(publisher, subscriber);
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,52 @@
+'use strict';
+const test = require('tape');
+const { create, ready, closeAll, createLoopbackBroker } = require('./helpers');
+
+test('MQTT v5 requests use response topic and correlation data', t => {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester', protocolVersion: 5 });
+    const responder = create(broker, { clientId: 'responder', protocolVersion: 5 });
+    const packets = [];
+
+    broker.clients.forEach(client => client.on('message', (topic, payload, packet) => {
+        if (client === responder.client) packets.push(packet);
+    }));
+
+    responder.subscribe('svc/echo', (topic, payload, meta) => ({
+        echo: payload.value,
+        hasRespondTo: payload.respondTo !== undefined,
+        responseTopic: meta.responseTopic,
+    }));
+
+    Promise.all([ready(requester), ready(responder)])
+        .then(_ => requester.request('svc/echo', { value: 1 }, { timeoutResponseAfter: 500 }))
+        .then(response => {
+            const properties = packets[0].properties;
+
+            t.equal(requester.client.options.protocolVersion, 5, 'client uses MQTT v5');
+            t.equal(response.echo, 1, 'response has the handler result');
+            t.equal(response.hasRespondTo, false, 'response topic is not in the payload');
+            t.ok(response.responseTopic.indexOf('core$/pubsub/inbox/') === 0, 'handler sees the response topic');
+            t.ok(Buffer.isBuffer(properties.correlationData), 'request has correlation data');
+            t.equal(response.responder, undefined, 'responder is not added to the payload');
+            return closeAll(requester, responder);
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('MQTT v5 gather gets the responder from user properties', t => {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester', protocolVersion: 5 });
+    const first = create(broker, { clientId: 'first', protocolVersion: 5 });
+    const second = create(broker, { clientId: 'second', protocolVersion: 5 });
+
+    [first, second].forEach(pubsub => pubsub.subscribe('svc/who', _ => ({ ok: true })));
+
+    Promise.all([ready(requester), ready(first), ready(second)])
+        .then(_ => requester.gather('svc/who', {}, { windowMs: 50 }))
+        .then(responses => {
+            t.deepEqual(responses.map(r => r.responder).sort(), ['first', 'second'], 'responders');
+            return closeAll(requester, first, second);
+        })
+        .then(_ => t.end(), t.end);
+});
@@ -0,0 +1,81 @@
+'use strict';
+const test = require('tape');
+const createValidator = require('../lib/validation');
+const { create, ready, wait, closeAll, createLoopbackBroker } = require('./helpers');
+
+const schema = {
+    type: 'object',
+    required: ['amount'],
+    additionalProperties: false,
+    properties: {
+        amount: { type: 'number' },
+        uuid: { type: 'string' },
+        timestamp: { type: 'number' },
+        respondTo: { type: 'string' },
+    }
+};
+
+test('validator checks payloads against matching schemas', t => {
+    const validator = createValidator({ inbound: { 'billing/#': schema } });
+
+    t.equal(validator.has('inbound'), true, 'has inbound schemas');
+    t.equal(validator.has('outbound'), false, 'has no outbound schemas');
+    t.equal(validator.validate('inbound', 'billing/charge', { amount: 1 }), null, 'valid payload');
+    t.ok(validator.validate('inbound', 'billing/charge', { amount: 'x' }), 'invalid payload has errors');
+    t.equal(validator.validate('inbound', 'other', { amount: 'x' }), null, 'other topics are not checked');
+    t.throws(_ => validator.add('x', {}, 'sideways'), TypeError, 'unknown direction throws');
+    t.end();
+});
+
+test('publish throws for payloads that do not match the outbound schema', t => {
+    const broker = createLoopbackBroker();
+    const pubsub = create(broker, { clientId: 'a', schemas: { outbound: { 'billing/#': schema } } });
+
+    ready(pubsub)
+        .then(_ => {
+            t.doesNotThrow(_ => pubsub.publish('billing/charge', { amount: 1 }), 'valid payload is published');
+
+            try {
+                pubsub.publish('billing/charge', { amount: 'x' });
+                t.fail('invalid payload should throw');
+            } catch (error) {
+                t.equal(error.code, 'INVALID_PAYLOAD', 'error code');
+                t.equal(error.topic, 'billing/charge', 'error topic');
+                t.ok(error.errors.length, 'error has validation errors');
+            }
+
+            return pubsub.close();
+        })
+        .then(_ => t.end(), t.end);
+});
+
+test('invalid inbound messages are not dispatched and requests get an error', t => {
+    const broker = createLoopbackBroker();
+    const requester = create(broker, { clientId: 'requester' });
+    const responder = create(broker, { clientId: 'responder' });
+    const handled = [];
+    const invalid = [];
+
+    responder.addSchema('billing/#', schema, 'inbound');
+    responder.subscribe('billing/charge', (topic, payload) => {
+        handled.push(payload.amount);
+        return { charged: payload.amount };
+    });
+    responder.on('message.invalid', e => invalid.push(e.topic));
+
+    Promise.all([ready(requester), ready(responder)])
+        .then(_ => requester.request('billing/charge', { amount: 5 }, { timeoutResponseAfter: 500 }))
+        .then(response => {
+            t.equal(response.charged, 5, 'valid request is answered');
+            return requester.request('billing/charge', { amount: 'x' }, { timeoutResponseAfter: 500 });
+        })
+        .then(response => {
+            t.equal(response.success, false, 'invalid request gets an error response');
+            t.equal(response.error.code, 'INVALID_PAYLOAD', 'error code is sent');
+            t.deepEqual(handled, [5], 'invalid request is not dispatched');
+            t.deepEqual(invalid, ['billing/charge'], 'message.invalid is emitted');
+            return wait();
+        })
+        .then(_ => closeAll(requester, responder))
+        .then(_ => t.end(), t.end);
+});